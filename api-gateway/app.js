@@ -1,142 +1,147 @@
 const express = require('express');
-const httpProxy = require('http-proxy-middleware');
 const cors = require('cors');
-const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
-const morgan = require('morgan');
+const path = require('path');
+const { Pool } = require('pg');
+const { AUTH_MODES } = require('./auth');
+const { RouteTable } = require('./route-table');
+const { createRateLimitStore, parseApiKeys } = require('./rate-limit');
+const { initTracing, shutdownTracing, tracingMiddleware } = require('../shared/tracing');
+const { logger, initLogger, requestLogger } = require('../shared/logger');
+const { initMetrics, metricsMiddleware, metricsHandler, registerPoolMetrics } = require('../shared/metrics');
+const { Lifecycle } = require('../shared/lifecycle');
+const { HealthChecker, livenessHandler, readinessHandler } = require('../shared/health');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// 服务配置
-const services = {
-  user: {
-    url: process.env.USER_SERVICE_URL || 'http://localhost:3001',
-    prefix: '/api/users'
-  },
-  email: {
-    url: process.env.EMAIL_SERVICE_URL || 'http://localhost:3002',
-    prefix: '/api/email'
-  }
-};
+// 日志：JSON 格式，按 LOG_LEVEL 过滤，Authorization 等字段脱敏
+initLogger({ serviceName: 'api-gateway' });
 
-// 中间件配置
-app.use(helmet()); // 安全头
-app.use(cors()); // 跨域支持
-app.use(morgan('combined')); // 访问日志
-app.use(express.json()); // JSON 解析
+function envInt(name) {
+  return process.env[name] !== undefined && process.env[name] !== ''
+    ? parseInt(process.env[name], 10)
+    : undefined;
+}
 
-// 速率限制
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 分钟
-  max: 100, // 每个 IP 最多 100 次请求
-  message: {
-    error: 'Too many requests from this IP, please try again later.',
-    retryAfter: '15 minutes'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
-});
+// 去掉未设置的环境变量，避免覆盖配置文件的默认值
+function definedOnly(values) {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined && !Number.isNaN(value)));
+}
 
-app.use(limiter);
+// 生命周期：SIGTERM / SIGINT 时停止接受新连接，等待转发中的请求完成后再退出
+const lifecycle = new Lifecycle({ serviceName: 'api-gateway' });
 
-// 健康检查中间件
-async function checkServiceHealth(serviceUrl) {
-  try {
-    const fetch = (await import('node-fetch')).default;
-    const response = await fetch(`${serviceUrl}/health`, {
-      timeout: 5000
-    });
-    return response.ok;
-  } catch (error) {
-    return false;
+// 限流存储：memory（单实例）或 postgres（多个网关实例共享额度）
+let rateLimitPool = null;
+function createGatewayRateLimitStore() {
+  const type = process.env.RATE_LIMIT_STORE || 'memory';
+  const options = {};
+
+  if (type === 'postgres') {
+    rateLimitPool = registerPoolMetrics('rate-limit', new Pool({ connectionString: process.env.RATE_LIMIT_DATABASE_URL }));
+    options.pool = rateLimitPool;
   }
+
+  return createRateLimitStore(type, options);
 }
 
-// 请求日志中间件
-app.use((req, res, next) => {
-  const startTime = Date.now();
-  
-  res.on('finish', () => {
-    const duration = Date.now() - startTime;
-    console.log(`${req.method} ${req.originalUrl} - ${res.statusCode} - ${duration}ms`);
-  });
-  
-  next();
-});
+const rateLimitStore = createGatewayRateLimitStore();
 
-// 错误处理中间件
-function createErrorHandler(serviceName) {
-  return (error, req, res, next) => {
-    console.error(`Error in ${serviceName} proxy:`, error);
-    
-    if (error.code === 'ECONNREFUSED') {
-      return res.status(503).json({
-        error: `${serviceName} service is unavailable`,
-        message: 'Service temporarily unavailable, please try again later',
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    if (error.code === 'ETIMEDOUT') {
-      return res.status(504).json({
-        error: `${serviceName} service timeout`,
-        message: 'Service request timeout, please try again later',
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    res.status(500).json({
-      error: 'Internal gateway error',
-      message: 'An unexpected error occurred',
-      timestamp: new Date().toISOString()
-    });
-  };
+// 访问令牌的密钥，需与用户服务一致；没有默认值，否则任何人都能用公开的默认值伪造访问令牌
+if (!process.env.JWT_SECRET) {
+  logger.error('JWT_SECRET is not set, refusing to start');
+  process.exit(1);
 }
 
-// 用户服务代理
-const userServiceProxy = httpProxy.createProxyMiddleware({
-  target: services.user.url,
-  changeOrigin: true,
-  pathRewrite: {
-    [`^${services.user.prefix}`]: '/api/users'
-  },
-  timeout: 30000,
-  proxyTimeout: 30000,
-  onError: createErrorHandler('User'),
-  onProxyReq: (proxyReq, req, res) => {
-    // 添加请求头
-    proxyReq.setHeader('X-Gateway-Timestamp', new Date().toISOString());
-    proxyReq.setHeader('X-Request-ID', `gw-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
-  },
-  onProxyRes: (proxyRes, req, res) => {
-    // 添加响应头
-    proxyRes.headers['X-Proxied-By'] = 'API-Gateway';
-  }
+// 路由表：服务前缀、上游实例、认证要求、限流策略等都在配置文件中定义，修改后自动重新加载
+// 环境变量中的超时、重试、熔断和限流设置作为配置文件的默认值
+const routeTable = new RouteTable({
+  file: path.resolve(process.env.GATEWAY_ROUTES_FILE || path.join(__dirname, 'routes.json')),
+  secret: process.env.JWT_SECRET,
+  rateLimitStore,
+  // 限流策略 keyBy 中的 apiKey 只认这里列出的 Key
+  apiKeys: parseApiKeys(process.env.RATE_LIMIT_API_KEYS),
+  baseDefaults: definedOnly({
+    timeout: envInt('PROXY_TIMEOUT_MS'),
+    retries: envInt('PROXY_GET_RETRIES'),
+    retryDelay: envInt('PROXY_RETRY_DELAY_MS'),
+    circuitBreaker: definedOnly({
+      failureRateThreshold: process.env.CIRCUIT_FAILURE_RATE ? parseFloat(process.env.CIRCUIT_FAILURE_RATE) : undefined,
+      minimumRequests: envInt('CIRCUIT_MIN_REQUESTS'),
+      windowMs: envInt('CIRCUIT_WINDOW_MS'),
+      openDuration: envInt('CIRCUIT_OPEN_MS'),
+      halfOpenMaxRequests: envInt('CIRCUIT_HALF_OPEN_REQUESTS')
+    }),
+    rateLimitPolicy: definedOnly({
+      windowMs: envInt('RATE_LIMIT_WINDOW_MS'),
+      max: envInt('RATE_LIMIT_MAX_REQUESTS')
+    })
+  })
 });
 
-// 邮件服务代理
-const emailServiceProxy = httpProxy.createProxyMiddleware({
-  target: services.email.url,
-  changeOrigin: true,
-  pathRewrite: {
-    [`^${services.email.prefix}`]: '/api/email'
-  },
-  timeout: 30000,
-  proxyTimeout: 30000,
-  onError: createErrorHandler('Email'),
-  onProxyReq: (proxyReq, req, res) => {
-    proxyReq.setHeader('X-Gateway-Timestamp', new Date().toISOString());
-    proxyReq.setHeader('X-Request-ID', `gw-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
-  },
-  onProxyRes: (proxyRes, req, res) => {
-    proxyRes.headers['X-Proxied-By'] = 'API-Gateway';
+// 追踪：沿用客户端传入的 traceparent / X-Request-ID，没有时生成，并转发给下游服务
+initTracing({ serviceName: 'api-gateway' });
+
+// 指标：GET /metrics 输出 Prometheus 文本格式
+initMetrics({ serviceName: 'api-gateway' });
+
+// 配置无效时拒绝启动
+try {
+  routeTable.load();
+} catch (error) {
+  logger.error('Invalid route config, refusing to start', error);
+  process.exit(1);
+}
+
+// 健康检查：/health/ready 只反映网关自身能否处理请求，下游服务不可用时对应路由返回 503，网关仍然就绪；
+// upstreams 汇总后台健康检查的结果，限流存储故障时请求照常放行，两者都只报告不影响就绪状态
+const health = new HealthChecker();
+health.register('upstreams', () => {
+  const services = Object.fromEntries(
+    routeTable.entries.map(({ service, pool }) => [service.name, pool.getHealth()])
+  );
+  const unhealthy = Object.keys(services).filter((name) => services[name].status === 'unhealthy');
+  if (unhealthy.length > 0) {
+    const error = new Error(`No healthy upstream for ${unhealthy.join(', ')}`);
+    error.details = services;
+    throw error;
   }
-});
+  return services;
+}, { critical: false });
+if (rateLimitPool) {
+  health.register('rateLimitStore', async () => {
+    await rateLimitPool.query('SELECT 1');
+  }, { timeout: 2000, critical: false });
+}
 
-// 路由配置
-app.use(services.user.prefix, userServiceProxy);
-app.use(services.email.prefix, emailServiceProxy);
+// 中间件配置
+app.use(helmet()); // 安全头
+app.use(cors()); // 跨域支持
+app.get('/metrics', metricsHandler()); // 指标抓取不经过追踪、限流和认证
+app.get('/health/live', livenessHandler({ serviceName: 'api-gateway' })); // 探针同样不经过追踪、限流和认证
+app.get('/health/ready', readinessHandler({ serviceName: 'api-gateway', lifecycle, checker: health }));
+app.use(tracingMiddleware()); // 追踪上下文和 X-Request-ID
+// 请求数、耗时和访问日志；转发的请求按服务前缀统计，例如 route="/api/users/*"
+function proxiedRouteLabel(req) {
+  const entry = routeTable.match(req.originalUrl.split('?')[0]);
+  return entry ? `${entry.service.prefix}/*` : null;
+}
+app.use(metricsMiddleware({ routeLabel: proxiedRouteLabel }));
+app.use(requestLogger({ routeLabel: proxiedRouteLabel }));
+app.use(express.json()); // JSON 解析
+
+// 认证之前的粗粒度限流：按 IP 计数，认证失败的请求也会被计入，避免无限次尝试访问令牌
+app.use(routeTable.preAuthRateLimiter());
+
+// 认证：校验访问令牌，把用户身份通过 X-User-Id / X-User-Name 转发给下游服务
+app.use(routeTable.authenticate());
+
+// 速率限制：按路由表中路由或服务的限流策略；在认证之后，才能按登录用户计数
+app.use(routeTable.rateLimiter());
+
+// 路由配置：按前缀转发到对应服务
+app.use(routeTable.proxy());
 
 // 根路径
 app.get('/', (req, res) => {
@@ -144,83 +149,69 @@ app.get('/', (req, res) => {
     message: 'MSA Demo API Gateway',
     version: '1.0.0',
     timestamp: new Date().toISOString(),
-    services: {
-      user: services.user.prefix,
-      email: services.email.prefix
-    },
+    services: Object.fromEntries(
+      Object.values(routeTable.services).map((service) => [service.name, service.prefix])
+    ),
     endpoints: {
       health: '/health',
+      liveness: '/health/live',
+      readiness: '/health/ready',
       services: '/services',
+      metrics: '/metrics',
       documentation: '/docs'
     }
   });
 });
 
-// 服务状态检查
-app.get('/services', async (req, res) => {
+// 服务状态：返回后台健康检查缓存的结果，以及负载均衡和熔断器状态，不实时请求上游
+app.get('/services', (req, res) => {
   const serviceStatus = {};
-  
-  for (const [name, config] of Object.entries(services)) {
-    const isHealthy = await checkServiceHealth(config.url);
-    serviceStatus[name] = {
-      url: config.url,
-      prefix: config.prefix,
-      status: isHealthy ? 'healthy' : 'unhealthy',
-      lastChecked: new Date().toISOString()
+
+  for (const { service, pool, breaker } of routeTable.entries) {
+    serviceStatus[service.name] = {
+      prefix: service.prefix,
+      ...pool.getHealth(),
+      loadBalancing: service.loadBalancing,
+      upstreams: pool.getStatus(),
+      circuitBreaker: breaker.getStatus()
     };
   }
-  
+
   res.json({
-    gateway: 'healthy',
+    gateway: lifecycle.isReady() ? 'healthy' : lifecycle.state,
     timestamp: new Date().toISOString(),
     services: serviceStatus
   });
 });
 
-// 网关健康检查
-app.get('/health', async (req, res) => {
-  try {
-    const serviceChecks = await Promise.allSettled(
-      Object.entries(services).map(async ([name, config]) => {
-        const isHealthy = await checkServiceHealth(config.url);
-        return { name, healthy: isHealthy };
-      })
-    );
-    
-    const services_status = {};
-    let allHealthy = true;
-    
-    serviceChecks.forEach((result, index) => {
-      if (result.status === 'fulfilled') {
-        const { name, healthy } = result.value;
-        services_status[name] = healthy ? 'healthy' : 'unhealthy';
-        if (!healthy) allHealthy = false;
-      } else {
-        const serviceName = Object.keys(services)[index];
-        services_status[serviceName] = 'error';
-        allHealthy = false;
-      }
-    });
-    
-    const status = allHealthy ? 'healthy' : 'degraded';
-    
-    res.status(allHealthy ? 200 : 503).json({
-      status,
-      timestamp: new Date().toISOString(),
-      service: 'api-gateway',
-      uptime: process.uptime(),
-      memory: process.memoryUsage(),
-      services: services_status
-    });
-    
-  } catch (error) {
-    res.status(503).json({
-      status: 'unhealthy',
+// 网关及下游服务的汇总状态（后台健康检查缓存的结果）：有服务没有可用实例时返回 503
+app.get('/health', (req, res) => {
+  // 关闭开始后立即返回 503，让负载均衡不再转发新请求
+  if (!lifecycle.isReady()) {
+    return res.status(503).json({
+      status: lifecycle.state,
       timestamp: new Date().toISOString(),
-      service: 'api-gateway',
-      error: error.message
+      service: 'api-gateway'
     });
   }
+
+  const services = {};
+  let allHealthy = true;
+  for (const { service, pool } of routeTable.entries) {
+    services[service.name] = pool.getHealth();
+    if (services[service.name].status === 'unhealthy') {
+      allHealthy = false;
+    }
+  }
+
+  res.status(allHealthy ? 200 : 503).json({
+    status: allHealthy ? 'healthy' : 'degraded',
+    timestamp: new Date().toISOString(),
+    service: 'api-gateway',
+    uptime: process.uptime(),
+    memory: process.memoryUsage(),
+    services
+  });
 });
 
 // API 文档
@@ -231,30 +222,75 @@ app.get('/docs', (req, res) => {
     description: 'Microservices Architecture Demo with RabbitMQ',
     baseUrl: req.protocol + '://' + req.get('host'),
     endpoints: {
-      users: {
-        register: 'POST /api/users/register',
-        getUser: 'GET /api/users/:id',
-        getAllUsers: 'GET /api/users'
-      },
-      email: {
-        stats: 'GET /api/email/stats'
-      },
+      // 各服务的接口说明来自路由配置中的 docs
+      ...Object.fromEntries(
+        Object.values(routeTable.services).map((service) => [service.name, service.docs])
+      ),
       gateway: {
         health: 'GET /health',
+        liveness: 'GET /health/live',
+        readiness: 'GET /health/ready',
         services: 'GET /services',
+        metrics: 'GET /metrics',
         docs: 'GET /docs'
       }
     },
+    queryParameters: {
+      listUsers: {
+        limit: 'Page size, 1-100 (default 20)',
+        cursor: 'Opaque cursor from pagination.nextCursor of the previous page',
+        sort: 'createdAt | updatedAt | username | email | id (default createdAt)',
+        order: 'asc | desc (default desc)',
+        search: 'Case-insensitive match on username, email, first name or last name',
+        emailVerified: 'true | false',
+        createdFrom: 'ISO date, inclusive',
+        createdTo: 'ISO date, exclusive'
+      }
+    },
+    authentication: {
+      scheme: 'Bearer',
+      header: 'Authorization: Bearer <accessToken>',
+      publicRoutes: Object.values(routeTable.services).flatMap((service) =>
+        (service.routes || [])
+          .filter((route) => route.auth === AUTH_MODES.PUBLIC)
+          .map((route) => `${route.method} ${route.path}`)
+      )
+    },
     examples: {
+      userLogin: {
+        method: 'POST',
+        url: '/api/users/login',
+        body: {
+          username: 'john_doe',
+          password: 'SecurePassw0rd'
+        }
+      },
+      userUpdate: {
+        method: 'PATCH',
+        url: '/api/users/1',
+        body: {
+          firstName: 'Johnny',
+          locale: 'en'
+        }
+      },
+      passwordResetConfirm: {
+        method: 'POST',
+        url: '/api/users/password-reset/confirm',
+        body: {
+          token: '<token from the reset email>',
+          password: 'newSecurePassw0rd'
+        }
+      },
       userRegistration: {
         method: 'POST',
         url: '/api/users/register',
         body: {
           username: 'john_doe',
           email: 'john@example.com',
-          password: 'securepassword',
+          password: 'SecurePassw0rd',
           firstName: 'John',
-          lastName: 'Doe'
+          lastName: 'Doe',
+          locale: 'en'
         }
       }
     }
@@ -270,17 +306,19 @@ app.use('*', (req, res) => {
     availableRoutes: [
       '/',
       '/health',
+      '/health/live',
+      '/health/ready',
       '/services',
+      '/metrics',
       '/docs',
-      services.user.prefix,
-      services.email.prefix
+      ...Object.values(routeTable.services).map((service) => service.prefix)
     ]
   });
 });
 
 // 全局错误处理
 app.use((error, req, res, next) => {
-  console.error('Gateway error:', error);
+  logger.error('Gateway error', error);
   res.status(500).json({
     error: 'Internal gateway error',
     message: 'An unexpected error occurred in the API gateway',
@@ -289,17 +327,41 @@ app.use((error, req, res, next) => {
 });
 
 // 启动服务器
-app.listen(port, () => {
-  console.log(`API Gateway is running on port ${port}`);
-  console.log(`Gateway URL: http://localhost:${port}`);
-  console.log('Configured services:');
-  Object.entries(services).forEach(([name, config]) => {
-    console.log(`  - ${name}: ${config.prefix} -> ${config.url}`);
-  });
-});
+async function startServer() {
+  try {
+    await rateLimitStore.init();
 
-// 优雅关闭
-process.on('SIGINT', () => {
-  console.log('Shutting down API Gateway...');
-  process.exit(0);
-});
\ No newline at end of file
+    lifecycle.addServer(app.listen(port, () => {
+      lifecycle.markReady();
+      logger.info('API Gateway is running', {
+        port,
+        routeConfig: routeTable.file,
+        rateLimitStore: process.env.RATE_LIMIT_STORE || 'memory',
+        services: Object.values(routeTable.services).map((service) => ({
+          name: service.name,
+          prefix: service.prefix,
+          targets: service.targets,
+          loadBalancing: service.loadBalancing
+        }))
+      });
+      routeTable.watch();
+    }));
+  } catch (error) {
+    logger.error('Failed to start API Gateway', error);
+    process.exit(1);
+  }
+}
+
+startServer();
+
+// 优雅关闭：转发中的请求完成后停止健康检查和配置监听，再关闭限流存储
+lifecycle
+  .onClose('route table', () => routeTable.close())
+  .onClose('rate limit store', () => rateLimitStore.close())
+  .onClose('rate limit database pool', async () => {
+    if (rateLimitPool) {
+      await rateLimitPool.end();
+    }
+  })
+  .onClose('tracing', () => shutdownTracing())
+  .listen();
\ No newline at end of file
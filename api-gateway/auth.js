@@ -0,0 +1,115 @@
+// 网关认证：校验 Bearer 访问令牌，并把用户身份以请求头转发给下游服务
+const jwt = require('jsonwebtoken');
+
+// 路由的认证要求
+const AUTH_MODES = {
+  PUBLIC: 'public',       // 不校验令牌
+  OPTIONAL: 'optional',   // 有令牌时校验并转发身份，没有也放行
+  REQUIRED: 'required'    // 必须携带有效令牌
+};
+
+// 网关写入的身份请求头，客户端自带的同名请求头会被清除，防止伪造
+const IDENTITY_HEADERS = {
+  USER_ID: 'x-user-id',
+  USER_NAME: 'x-user-name'
+};
+
+// 把 /api/users/:id 这样的路径模式转换为正则
+function compilePath(pattern) {
+  const source = pattern
+    .split('/')
+    .map((segment) => (segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+    .join('/');
+  return new RegExp(`^${source}/?$`);
+}
+
+// 从服务配置生成认证规则：
+//   service.auth          该服务所有路由的默认认证要求
+//   service.routes[]      { method, path, auth } 覆盖单个路由
+function buildAuthRules(services) {
+  return Object.values(services).map((service) => ({
+    prefix: service.prefix,
+    auth: service.auth || AUTH_MODES.PUBLIC,
+    routes: (service.routes || []).map((route) => ({
+      method: route.method ? route.method.toUpperCase() : null,
+      pattern: compilePath(route.path),
+      auth: route.auth
+    }))
+  }));
+}
+
+function resolveAuthMode(rules, method, path) {
+  const service = rules.find((rule) => path === rule.prefix || path.startsWith(`${rule.prefix}/`));
+  if (!service) {
+    return AUTH_MODES.PUBLIC;
+  }
+
+  const route = service.routes.find((r) => (!r.method || r.method === method) && r.pattern.test(path));
+  return route ? route.auth : service.auth;
+}
+
+function getBearerToken(req) {
+  const header = req.get('Authorization');
+  if (!header) {
+    return null;
+  }
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+function unauthorized(res, message, error = 'invalid_token') {
+  res.set('WWW-Authenticate', `Bearer error="${error}"`);
+  return res.status(401).json({
+    error: 'Unauthorized',
+    message,
+    timestamp: new Date().toISOString()
+  });
+}
+
+function createAuthMiddleware({ secret, services, issuer = 'msa-user-service', audience = 'msa-api' }) {
+  const rules = buildAuthRules(services);
+
+  return (req, res, next) => {
+    for (const header of Object.values(IDENTITY_HEADERS)) {
+      delete req.headers[header];
+    }
+
+    const mode = resolveAuthMode(rules, req.method, req.path);
+    if (mode === AUTH_MODES.PUBLIC) {
+      return next();
+    }
+
+    const token = getBearerToken(req);
+    if (!token) {
+      return mode === AUTH_MODES.REQUIRED
+        ? unauthorized(res, 'Authentication required', 'invalid_request')
+        : next();
+    }
+
+    try {
+      const claims = jwt.verify(token, secret, {
+        algorithms: ['HS256'],
+        issuer,
+        audience
+      });
+
+      req.user = { id: claims.sub, username: claims.username };
+      // 代理会原样转发 req.headers
+      req.headers[IDENTITY_HEADERS.USER_ID] = claims.sub;
+      req.headers[IDENTITY_HEADERS.USER_NAME] = claims.username;
+      next();
+    } catch (error) {
+      const message = error.name === 'TokenExpiredError' ? 'Access token has expired' : 'Invalid access token';
+      return unauthorized(res, message);
+    }
+  };
+}
+
+module.exports = {
+  AUTH_MODES,
+  IDENTITY_HEADERS,
+  compilePath,
+  resolveAuthMode,
+  buildAuthRules,
+  createAuthMiddleware
+};
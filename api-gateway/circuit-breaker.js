@@ -0,0 +1,153 @@
+// 熔断器：下游服务持续失败时快速失败，避免请求堆积在注定超时的连接上
+//
+//   closed     正常转发，统计滑动窗口内的失败率
+//   open       失败率超过阈值后打开，直接拒绝请求，openDuration 后进入 half-open
+//   half-open  放行少量试探请求：成功则关闭，失败则重新打开
+const { EventEmitter } = require('events');
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+const DEFAULT_OPTIONS = {
+  failureRateThreshold: 0.5, // 窗口内失败比例达到该值时打开
+  minimumRequests: 10,       // 窗口内请求数达到该值后才计算失败率
+  windowMs: 30000,           // 滑动窗口长度
+  openDuration: 30000,       // 打开状态持续时间
+  halfOpenMaxRequests: 1     // half-open 状态同时放行的试探请求数
+};
+
+class CircuitBreaker extends EventEmitter {
+  constructor(name, options = {}) {
+    super();
+    this.name = name;
+    this.configure(options);
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.outcomes = []; // { time, success }
+    this.openedAt = null;
+    this.halfOpenInFlight = 0;
+  }
+
+  // 重新加载配置时只更新参数，保留当前状态和统计
+  configure(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  setState(state) {
+    const previous = this.state;
+    if (previous === state) {
+      return;
+    }
+    this.state = state;
+    this.emit('stateChange', { name: this.name, state, previous });
+  }
+
+  open() {
+    this.openedAt = Date.now();
+    this.halfOpenInFlight = 0;
+    this.setState(CIRCUIT_STATES.OPEN);
+  }
+
+  close() {
+    this.openedAt = null;
+    this.outcomes = [];
+    this.halfOpenInFlight = 0;
+    this.setState(CIRCUIT_STATES.CLOSED);
+  }
+
+  pruneOutcomes(now = Date.now()) {
+    const cutoff = now - this.options.windowMs;
+    while (this.outcomes.length > 0 && this.outcomes[0].time < cutoff) {
+      this.outcomes.shift();
+    }
+  }
+
+  // 请求前调用，返回 false 时应直接拒绝；返回 true 后必须调用一次 release()
+  tryAcquire() {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.options.openDuration) {
+        return false;
+      }
+      this.setState(CIRCUIT_STATES.HALF_OPEN);
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.halfOpenInFlight >= this.options.halfOpenMaxRequests) {
+        return false;
+      }
+      this.halfOpenInFlight++;
+    }
+
+    return true;
+  }
+
+  // 请求结束时调用：success 为 true/false 记录结果，null 表示结果未知（如客户端断开）
+  release(success) {
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+      if (success === true) {
+        this.close();
+      } else if (success === false) {
+        this.open();
+      }
+      return;
+    }
+
+    if (success === null || this.state === CIRCUIT_STATES.OPEN) {
+      return;
+    }
+
+    const now = Date.now();
+    this.outcomes.push({ time: now, success });
+    this.pruneOutcomes(now);
+
+    const { requests, failureRate } = this.getWindowStats();
+    if (!success && requests >= this.options.minimumRequests
+      && failureRate >= this.options.failureRateThreshold) {
+      this.open();
+    }
+  }
+
+  getWindowStats() {
+    this.pruneOutcomes();
+    const requests = this.outcomes.length;
+    const failures = this.outcomes.filter((outcome) => !outcome.success).length;
+    return {
+      requests,
+      failures,
+      failureRate: requests > 0 ? failures / requests : 0
+    };
+  }
+
+  // 距离进入 half-open 还有多少秒，用于 Retry-After
+  getRetryAfter() {
+    if (this.state !== CIRCUIT_STATES.OPEN) {
+      return 1;
+    }
+    const remaining = this.options.openDuration - (Date.now() - this.openedAt);
+    return Math.max(1, Math.ceil(remaining / 1000));
+  }
+
+  getStatus() {
+    const stats = this.getWindowStats();
+    return {
+      state: this.state,
+      failureRate: Number(stats.failureRate.toFixed(3)),
+      requests: stats.requests,
+      failures: stats.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextAttemptAt: this.state === CIRCUIT_STATES.OPEN
+        ? new Date(this.openedAt + this.options.openDuration).toISOString()
+        : null,
+      options: this.options
+    };
+  }
+}
+
+module.exports = {
+  CIRCUIT_STATES,
+  CircuitBreaker
+};
@@ -0,0 +1,205 @@
+// 下游服务代理：每个服务一个熔断器和一个上游实例池，幂等的 GET/HEAD 请求在连接失败时换一个实例重试
+const httpProxy = require('http-proxy-middleware');
+const { SPAN_KINDS, injectTraceHeaders, startSpan } = require('../shared/tracing');
+const { createLogger } = require('../shared/logger');
+
+const logger = createLogger({ component: 'proxy' });
+
+// 只有这些方法会自动重试，其他请求可能已经在下游产生副作用
+const RETRYABLE_METHODS = ['GET', 'HEAD'];
+
+// 连接没有建立或在收到响应前被重置，请求没有被下游处理完，可以安全重试
+const RETRYABLE_ERRORS = ['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENOTFOUND', 'EAI_AGAIN'];
+
+function displayName(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// 代理失败时的响应
+function createErrorHandler(serviceName) {
+  return (error, req, res) => {
+    logger.error(`Error in ${serviceName} proxy`, { method: req.method, path: req.path, error });
+
+    if (error.code === 'ECONNREFUSED') {
+      return res.status(503).json({
+        error: `${serviceName} service is unavailable`,
+        message: 'Service temporarily unavailable, please try again later',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (error.code === 'ETIMEDOUT') {
+      return res.status(504).json({
+        error: `${serviceName} service timeout`,
+        message: 'Service request timeout, please try again later',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      error: 'Internal gateway error',
+      message: 'An unexpected error occurred',
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
+// 熔断器打开或没有健康实例时直接返回，不再等待下游超时
+function rejectUnavailable(res, serviceName, code, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(503).json({
+    error: `${serviceName} service is unavailable`,
+    message: code === 'CIRCUIT_OPEN'
+      ? 'Circuit breaker is open, please try again later'
+      : 'No healthy upstream instance, please try again later',
+    code,
+    retryAfter,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// 创建服务代理中间件：
+//   service   route-config 中的服务配置（name、pathRewrite、timeout、retries、retryDelay）
+//   breaker   该服务的熔断器
+//   pool      该服务的上游实例池
+function createServiceProxy(service, { breaker, pool }) {
+  const serviceName = displayName(service.name);
+  const handleError = createErrorHandler(serviceName);
+
+  const proxy = httpProxy.createProxyMiddleware({
+    // 实际转发目标由 router 按请求选择
+    target: service.targets[0],
+    router: (req) => req.proxyAttempt.upstream.url,
+    changeOrigin: true,
+    pathRewrite: service.pathRewrite || undefined,
+    // http-proxy-middleware 自身的日志也使用结构化日志，只输出警告和错误
+    logLevel: 'warn',
+    logProvider: () => ({
+      log: (message) => logger.info(message),
+      debug: (message) => logger.debug(message),
+      info: (message) => logger.info(message),
+      warn: (message) => logger.warn(message),
+      error: (message) => logger.error(message)
+    }),
+    // 只限制下游响应时间；timeout 选项作用于客户端连接，超时会直接断开客户端
+    proxyTimeout: service.timeout,
+    onError: (error, req, res) => {
+      const attempt = req.proxyAttempt;
+      if (attempt.timedOut) {
+        error.code = 'ETIMEDOUT';
+      }
+      attempt.span.setError(error);
+      attempt.settle(false);
+      attempt.finish();
+      pool.recordResult(attempt.upstream, false, error.code || error.message);
+
+      const retryable = RETRYABLE_METHODS.includes(req.method)
+        && RETRYABLE_ERRORS.includes(error.code)
+        && !res.headersSent
+        && attempt.number < service.retries;
+
+      if (retryable) {
+        const delay = service.retryDelay * 2 ** attempt.number;
+        logger.warn(`${serviceName} proxy request failed, retrying`, {
+          method: req.method,
+          path: req.path,
+          upstream: attempt.upstream.url,
+          errorCode: error.code,
+          attempt: attempt.number + 1,
+          delayMs: delay
+        });
+        const failed = attempt.failedUpstreams.concat(attempt.upstream.url);
+        return setTimeout(() => forward(req, res, attempt.number + 1, failed), delay);
+      }
+
+      handleError(error, req, res);
+    },
+    onProxyReq: (proxyReq, req, res) => {
+      // 区分下游超时和连接被重置，两者都会以 ECONNRESET 结束
+      proxyReq.on('timeout', () => {
+        req.proxyAttempt.timedOut = true;
+      });
+      // 添加请求头：traceparent 指向本次转发的 span，X-Request-ID 沿用客户端的或网关生成的
+      proxyReq.setHeader('X-Gateway-Timestamp', new Date().toISOString());
+      for (const [name, value] of Object.entries(injectTraceHeaders(req.proxyAttempt.span.context))) {
+        proxyReq.setHeader(name, value);
+      }
+      // express.json() 已经读取了请求体，需要重新写入
+      httpProxy.fixRequestBody(proxyReq, req);
+    },
+    onProxyRes: (proxyRes, req, res) => {
+      // 下游 5xx 计为失败，4xx 是客户端的问题，不影响熔断
+      req.proxyAttempt.span.setAttribute('http.status_code', proxyRes.statusCode);
+      req.proxyAttempt.settle(proxyRes.statusCode < 500);
+      pool.recordResult(req.proxyAttempt.upstream, true);
+      // 添加响应头
+      proxyRes.headers['X-Proxied-By'] = 'API-Gateway';
+    }
+  });
+
+  // 每次转发（包括重试）都要先向熔断器申请，重试期间熔断器打开时同样快速失败
+  function forward(req, res, number, failedUpstreams = []) {
+    if (res.writableEnded || req.socket.destroyed) {
+      return;
+    }
+
+    const upstream = pool.select(failedUpstreams);
+    if (!upstream) {
+      const retryAfter = Math.max(1, Math.ceil(pool.healthCheck.interval / 1000));
+      return rejectUnavailable(res, serviceName, 'NO_HEALTHY_UPSTREAM', retryAfter);
+    }
+    if (!breaker.tryAcquire()) {
+      return rejectUnavailable(res, serviceName, 'CIRCUIT_OPEN', breaker.getRetryAfter());
+    }
+
+    pool.acquire(upstream);
+    // 每次转发（包括重试）一个客户端 span
+    const span = startSpan(`${req.method} ${service.name}`, {
+      kind: SPAN_KINDS.CLIENT,
+      parent: req.traceContext,
+      attributes: {
+        'http.method': req.method,
+        // 与服务端 span 一样不记录查询字符串
+        'http.url': `${upstream.url}${req.originalUrl.split('?')[0]}`,
+        'gateway.attempt': number + 1
+      }
+    });
+    const attempt = {
+      number,
+      upstream,
+      span,
+      failedUpstreams,
+      timedOut: false,
+      settled: false,
+      released: false,
+      settle(success) {
+        if (!attempt.settled) {
+          attempt.settled = true;
+          breaker.release(success);
+        }
+      },
+      // 客户端提前断开时结果未知，只释放名额，不计入失败率
+      finish() {
+        attempt.settle(null);
+        if (!attempt.released) {
+          attempt.released = true;
+          pool.release(upstream);
+          span.end();
+        }
+      }
+    };
+    req.proxyAttempt = attempt;
+
+    res.once('close', attempt.finish);
+    proxy(req, res, (error) => {
+      attempt.finish();
+      handleError(error, req, res);
+    });
+  }
+
+  return (req, res) => forward(req, res, 0);
+}
+
+module.exports = {
+  createServiceProxy
+};
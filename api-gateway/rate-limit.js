@@ -0,0 +1,241 @@
+// 网关限流：令牌桶算法，按策略和调用方身份（IP、API Key 或登录用户）分别计数
+//
+// 每个桶最多保存 burst 个令牌，每个请求消耗一个，令牌以每 windowMs 毫秒 max 个的速度补充；
+// 桶的状态保存在存储中，postgres 存储让多个网关实例共享同一份额度
+const crypto = require('crypto');
+const { registry } = require('../shared/metrics');
+const { createLogger } = require('../shared/logger');
+
+const logger = createLogger({ component: 'rate-limit' });
+
+// 调用方身份的来源，策略的 keyBy 按顺序使用第一个可用的
+const RATE_LIMIT_KEYS = {
+  IP: 'ip',
+  API_KEY: 'apiKey',
+  USER: 'user'      // 认证中间件校验通过的用户，公开路由上不可用
+};
+
+const API_KEY_HEADER = 'x-api-key';
+
+const rateLimitDecisions = registry.counter({
+  name: 'gateway_rate_limit_decisions_total',
+  help: 'Rate limit decisions by policy and result (allowed, limited, error)',
+  labelNames: ['policy', 'result']
+});
+
+// 桶补满所需的时间，超过这个时间没有请求的桶可以删除（等同于满桶）
+function fullRefillMs(capacity, refillPerMs) {
+  return Math.ceil(capacity / refillPerMs);
+}
+
+// 存储基类：子类实现 take / purgeExpired
+class RateLimitStore {
+  constructor(options = {}) {
+    this.purgeInterval = options.purgeInterval || 60 * 1000;
+    this.purgeTimer = null;
+  }
+
+  async init() {
+    this.purgeTimer = setInterval(() => {
+      this.purgeExpired().catch((error) => {
+        logger.error('Failed to purge rate limit store', error);
+      });
+    }, this.purgeInterval);
+    this.purgeTimer.unref();
+  }
+
+  async close() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+  }
+}
+
+// 内存存储，只在单个网关实例内生效
+class MemoryRateLimitStore extends RateLimitStore {
+  constructor(options = {}) {
+    super(options);
+    this.buckets = new Map();
+  }
+
+  // 补充令牌后尝试取出一个，返回 { allowed, tokens }，tokens 为取出后剩余的令牌数
+  async take(key, { capacity, refillPerMs }) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key);
+    const available = bucket
+      ? Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs)
+      : capacity;
+    const allowed = available >= 1;
+    const tokens = allowed ? available - 1 : available;
+
+    this.buckets.set(key, {
+      tokens,
+      updatedAt: now,
+      expiresAt: now + fullRefillMs(capacity, refillPerMs)
+    });
+    return { allowed, tokens };
+  }
+
+  async purgeExpired() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.expiresAt <= now) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+// PostgreSQL 存储，多个网关实例共享令牌桶；pool 由调用方传入
+// 补充和扣减在一条 upsert 语句中完成，行锁保证并发请求不会重复使用同一个令牌，时间统一使用数据库时钟
+class PostgresRateLimitStore extends RateLimitStore {
+  constructor(options = {}) {
+    super(options);
+    if (!options.pool) {
+      throw new Error('PostgresRateLimitStore requires a pg pool');
+    }
+    this.pool = options.pool;
+    this.tableName = options.tableName || 'gateway_rate_limits';
+  }
+
+  async init() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS ${this.tableName} (
+        key VARCHAR(255) PRIMARY KEY,
+        tokens DOUBLE PRECISION NOT NULL,
+        allowed BOOLEAN NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL
+      )
+    `);
+    await super.init();
+  }
+
+  async take(key, { capacity, refillPerMs }) {
+    // $2 = capacity，$3 = 每毫秒补充的令牌数；SET 中引用的 bucket.* 都是更新前的值
+    const available = `LEAST($2::float8, bucket.tokens
+      + EXTRACT(EPOCH FROM now() - bucket.updated_at) * 1000 * $3::float8)`;
+    const result = await this.pool.query(
+      `INSERT INTO ${this.tableName} AS bucket (key, tokens, allowed, updated_at, expires_at)
+       VALUES ($1, $2::float8 - 1, TRUE, now(), now() + $4::float8 * INTERVAL '1 millisecond')
+       ON CONFLICT (key) DO UPDATE SET
+         tokens = CASE WHEN ${available} >= 1 THEN ${available} - 1 ELSE ${available} END,
+         allowed = ${available} >= 1,
+         updated_at = now(),
+         expires_at = now() + $4::float8 * INTERVAL '1 millisecond'
+       RETURNING tokens, allowed`,
+      [key, capacity, refillPerMs, fullRefillMs(capacity, refillPerMs)]
+    );
+    const { tokens, allowed } = result.rows[0];
+    return { allowed, tokens: Number(tokens) };
+  }
+
+  async purgeExpired() {
+    await this.pool.query(`DELETE FROM ${this.tableName} WHERE expires_at <= now()`);
+  }
+}
+
+// 按类型创建存储：memory | postgres
+function createRateLimitStore(type, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryRateLimitStore(options);
+    case 'postgres':
+      return new PostgresRateLimitStore(options);
+    default:
+      throw new Error(`Unknown rate limit store type: ${type}`);
+  }
+}
+
+// 存储和内存中只保存 API Key 的哈希而不是原值
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 32);
+}
+
+// 已知的 API Key（逗号分隔），返回哈希集合
+function parseApiKeys(value) {
+  return new Set((value || '').split(',').map((key) => key.trim()).filter(Boolean).map(hashApiKey));
+}
+
+// 返回 { type, id }，keyBy 中的身份都不可用时使用 IP；
+// 只有已知的 API Key 才作为身份，否则客户端每次换一个随机的 Key 就能得到新的令牌桶
+function resolveIdentity(req, keyBy, apiKeys) {
+  for (const type of keyBy) {
+    if (type === RATE_LIMIT_KEYS.USER && req.user) {
+      return { type, id: String(req.user.id) };
+    }
+    if (type === RATE_LIMIT_KEYS.API_KEY && req.get(API_KEY_HEADER)) {
+      const id = hashApiKey(req.get(API_KEY_HEADER));
+      if (apiKeys.has(id)) {
+        return { type, id };
+      }
+    }
+    if (type === RATE_LIMIT_KEYS.IP) {
+      return { type, id: req.ip };
+    }
+  }
+  return { type: RATE_LIMIT_KEYS.IP, id: req.ip };
+}
+
+// 响应头（IETF RateLimit 头草案）：
+//   RateLimit-Policy     策略：每 w 秒补充 max 个令牌，burst 为桶容量
+//   RateLimit-Limit      桶容量
+//   RateLimit-Remaining  剩余令牌数
+//   RateLimit-Reset      桶补满所需的秒数
+function setRateLimitHeaders(res, policy, tokens, refillPerMs) {
+  res.set('RateLimit-Policy', `${policy.max};w=${Math.ceil(policy.windowMs / 1000)};burst=${policy.burst}`);
+  res.set('RateLimit-Limit', String(policy.burst));
+  res.set('RateLimit-Remaining', String(Math.floor(tokens)));
+  res.set('RateLimit-Reset', String(Math.ceil((policy.burst - tokens) / refillPerMs / 1000)));
+}
+
+// 创建限流中间件；存储不可用时放行请求并记录日志，限流故障不影响正常访问
+// apiKeys 为 parseApiKeys 返回的已知 API Key 集合
+function createRateLimiter(name, policy, store, { apiKeys = new Set() } = {}) {
+  const refillPerMs = policy.max / policy.windowMs;
+
+  return async (req, res, next) => {
+    const identity = resolveIdentity(req, policy.keyBy, apiKeys);
+    let result;
+    try {
+      result = await store.take(`${name}:${identity.type}:${identity.id}`, {
+        capacity: policy.burst,
+        refillPerMs
+      });
+    } catch (error) {
+      rateLimitDecisions.inc({ policy: name, result: 'error' });
+      logger.warn('Rate limit store unavailable, allowing request', { policy: name, error });
+      return next();
+    }
+
+    setRateLimitHeaders(res, policy, result.tokens, refillPerMs);
+    if (result.allowed) {
+      rateLimitDecisions.inc({ policy: name, result: 'allowed' });
+      return next();
+    }
+
+    rateLimitDecisions.inc({ policy: name, result: 'limited' });
+    const retryAfter = Math.max(1, Math.ceil((1 - result.tokens) / refillPerMs / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: 'Too many requests',
+      message: 'Rate limit exceeded, please try again later',
+      code: 'RATE_LIMITED',
+      policy: name,
+      retryAfter,
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_KEYS,
+  API_KEY_HEADER,
+  RateLimitStore,
+  MemoryRateLimitStore,
+  PostgresRateLimitStore,
+  createRateLimitStore,
+  parseApiKeys,
+  createRateLimiter
+};
@@ -0,0 +1,282 @@
+// 网关路由表：从配置文件（默认 routes.json）加载，文件变化时重新加载
+//
+// 配置中的字符串可以引用环境变量：${USER_SERVICE_URL} 或 ${USER_SERVICE_URL:-http://localhost:3001}
+const fs = require('fs');
+const path = require('path');
+const { AUTH_MODES } = require('./auth');
+const { RATE_LIMIT_KEYS } = require('./rate-limit');
+
+const ROUTE_CONFIG_ERROR = 'INVALID_ROUTE_CONFIG';
+
+// 认证之前按 IP 粗粒度限流的策略名，认证失败（401）的请求同样计数
+const PRE_AUTH_RATE_LIMIT = 'preAuth';
+
+const LOAD_BALANCING = {
+  ROUND_ROBIN: 'round-robin',
+  LEAST_CONNECTIONS: 'least-connections'
+};
+
+// 配置文件中未指定时使用的默认值
+const DEFAULTS = {
+  timeout: 30000,
+  retries: 2,
+  retryDelay: 200,
+  loadBalancing: LOAD_BALANCING.ROUND_ROBIN,
+  auth: AUTH_MODES.PUBLIC,
+  rateLimit: 'default',
+  healthCheck: {
+    path: '/health/ready',
+    interval: 10000,
+    timeout: 5000,
+    unhealthyThreshold: 2, // 连续失败多少次后摘除实例
+    healthyThreshold: 1    // 摘除后连续成功多少次恢复
+  },
+  circuitBreaker: {},
+  // 限流策略中未指定的字段
+  rateLimitPolicy: {
+    windowMs: 900000,
+    max: 100,
+    keyBy: [RATE_LIMIT_KEYS.IP]
+  },
+  // 配置文件中没有 preAuth 策略时使用；额度比 default 宽松，只用来挡住同一 IP 的大量请求
+  preAuthRateLimitPolicy: {
+    windowMs: 60000,
+    max: 300,
+    keyBy: [RATE_LIMIT_KEYS.IP]
+  }
+};
+
+function configError(message) {
+  const error = new Error(`Invalid route config: ${message}`);
+  error.code = ROUTE_CONFIG_ERROR;
+  return error;
+}
+
+function substituteEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+      const resolved = process.env[name] !== undefined && process.env[name] !== ''
+        ? process.env[name]
+        : fallback;
+      if (resolved === undefined) {
+        throw configError(`environment variable ${name} is not set`);
+      }
+      return resolved;
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(substituteEnv);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substituteEnv(item)]));
+  }
+  return value;
+}
+
+function assertNonNegativeInteger(value, field) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw configError(`${field} must be a non-negative integer`);
+  }
+}
+
+function assertPositiveInteger(value, field) {
+  if (!Number.isInteger(value) || value <= 0) {
+    throw configError(`${field} must be a positive integer`);
+  }
+}
+
+// 限流策略：每 windowMs 毫秒补充 max 个令牌，桶容量 burst（默认等于 max），按 keyBy 区分调用方
+function normalizeRateLimitPolicy(name, raw, defaults) {
+  const field = `rateLimits.${name}`;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw configError(`${field} must be an object`);
+  }
+
+  const policy = {
+    windowMs: raw.windowMs !== undefined ? raw.windowMs : defaults.windowMs,
+    max: raw.max !== undefined ? raw.max : defaults.max,
+    keyBy: [].concat(raw.keyBy || defaults.keyBy)
+  };
+  policy.burst = raw.burst !== undefined ? raw.burst : policy.max;
+
+  for (const key of ['windowMs', 'max', 'burst']) {
+    assertPositiveInteger(policy[key], `${field}.${key}`);
+  }
+  if (policy.keyBy.length === 0 || !policy.keyBy.every((key) => Object.values(RATE_LIMIT_KEYS).includes(key))) {
+    throw configError(`${field}.keyBy must be one or more of ${Object.values(RATE_LIMIT_KEYS).join(', ')}`);
+  }
+  return policy;
+}
+
+function normalizeTarget(target, field) {
+  let url;
+  try {
+    url = new URL(target);
+  } catch (error) {
+    throw configError(`${field} is not a valid URL: ${target}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw configError(`${field} must be an http(s) URL: ${target}`);
+  }
+  return url.origin;
+}
+
+function normalizeService(name, raw, defaults, rateLimits) {
+  const field = `services.${name}`;
+  if (!raw || typeof raw !== 'object') {
+    throw configError(`${field} must be an object`);
+  }
+  if (typeof raw.prefix !== 'string' || !/^\/[^?#]*[^/]$/.test(raw.prefix)) {
+    throw configError(`${field}.prefix must be a path starting with "/" and not ending with "/"`);
+  }
+
+  const targets = Array.isArray(raw.targets) ? raw.targets : [raw.target || raw.targets].filter(Boolean);
+  if (targets.length === 0) {
+    throw configError(`${field} must define at least one target`);
+  }
+
+  const service = {
+    name,
+    prefix: raw.prefix,
+    targets: [...new Set(targets.map((target, index) => normalizeTarget(target, `${field}.targets[${index}]`)))],
+    pathRewrite: raw.pathRewrite || null,
+    timeout: raw.timeout !== undefined ? raw.timeout : defaults.timeout,
+    retries: raw.retries !== undefined ? raw.retries : defaults.retries,
+    retryDelay: raw.retryDelay !== undefined ? raw.retryDelay : defaults.retryDelay,
+    loadBalancing: raw.loadBalancing || defaults.loadBalancing,
+    auth: raw.auth || defaults.auth,
+    rateLimit: raw.rateLimit || defaults.rateLimit,
+    healthCheck: { ...defaults.healthCheck, ...raw.healthCheck },
+    circuitBreaker: { ...defaults.circuitBreaker, ...raw.circuitBreaker },
+    routes: raw.routes || [],
+    docs: raw.docs || {}
+  };
+
+  for (const key of ['timeout', 'retries', 'retryDelay']) {
+    assertNonNegativeInteger(service[key], `${field}.${key}`);
+  }
+  for (const key of ['interval', 'timeout', 'unhealthyThreshold', 'healthyThreshold']) {
+    assertNonNegativeInteger(service.healthCheck[key], `${field}.healthCheck.${key}`);
+  }
+  if (!Object.values(LOAD_BALANCING).includes(service.loadBalancing)) {
+    throw configError(`${field}.loadBalancing must be one of ${Object.values(LOAD_BALANCING).join(', ')}`);
+  }
+  if (!Object.values(AUTH_MODES).includes(service.auth)) {
+    throw configError(`${field}.auth must be one of ${Object.values(AUTH_MODES).join(', ')}`);
+  }
+  if (!rateLimits[service.rateLimit]) {
+    throw configError(`${field}.rateLimit refers to unknown policy "${service.rateLimit}"`);
+  }
+  if (service.pathRewrite !== null && (typeof service.pathRewrite !== 'object' || Array.isArray(service.pathRewrite))) {
+    throw configError(`${field}.pathRewrite must be an object of { pattern: replacement }`);
+  }
+  if (!Array.isArray(service.routes)) {
+    throw configError(`${field}.routes must be an array`);
+  }
+  service.routes.forEach((route, index) => {
+    if (!route || typeof route.path !== 'string' || !route.path.startsWith(service.prefix)) {
+      throw configError(`${field}.routes[${index}].path must start with ${service.prefix}`);
+    }
+    if (route.auth && !Object.values(AUTH_MODES).includes(route.auth)) {
+      throw configError(`${field}.routes[${index}].auth must be one of ${Object.values(AUTH_MODES).join(', ')}`);
+    }
+    if (route.rateLimit && !rateLimits[route.rateLimit]) {
+      throw configError(`${field}.routes[${index}].rateLimit refers to unknown policy "${route.rateLimit}"`);
+    }
+  });
+
+  return service;
+}
+
+// 校验并补全配置，返回 { services, rateLimits, defaultRateLimit }
+// 优先级：服务配置 > 配置文件中的 defaults > baseDefaults（来自环境变量）> DEFAULTS
+function normalizeRouteConfig(raw, baseDefaults = {}) {
+  if (!raw || typeof raw !== 'object' || !raw.services || typeof raw.services !== 'object') {
+    throw configError('"services" must be an object');
+  }
+
+  const config = substituteEnv(raw);
+  const fileDefaults = config.defaults || {};
+  const defaults = {
+    ...DEFAULTS,
+    ...baseDefaults,
+    ...fileDefaults,
+    healthCheck: { ...DEFAULTS.healthCheck, ...baseDefaults.healthCheck, ...fileDefaults.healthCheck },
+    circuitBreaker: { ...DEFAULTS.circuitBreaker, ...baseDefaults.circuitBreaker, ...fileDefaults.circuitBreaker },
+    rateLimitPolicy: { ...DEFAULTS.rateLimitPolicy, ...baseDefaults.rateLimitPolicy, ...fileDefaults.rateLimitPolicy }
+  };
+
+  // 配置文件中没有 default 策略时完全使用默认值（RATE_LIMIT_WINDOW_MS / RATE_LIMIT_MAX_REQUESTS）
+  const rateLimits = {};
+  for (const [name, policy] of Object.entries({ default: {}, ...config.rateLimits })) {
+    rateLimits[name] = normalizeRateLimitPolicy(name, policy, defaults.rateLimitPolicy);
+  }
+  rateLimits[PRE_AUTH_RATE_LIMIT] = normalizeRateLimitPolicy(
+    PRE_AUTH_RATE_LIMIT,
+    (config.rateLimits && config.rateLimits[PRE_AUTH_RATE_LIMIT]) || {},
+    DEFAULTS.preAuthRateLimitPolicy
+  );
+  // 认证之前还不知道用户
+  if (rateLimits[PRE_AUTH_RATE_LIMIT].keyBy.includes(RATE_LIMIT_KEYS.USER)) {
+    throw configError(`rateLimits.${PRE_AUTH_RATE_LIMIT}.keyBy cannot include ${RATE_LIMIT_KEYS.USER}`);
+  }
+  if (!rateLimits[defaults.rateLimit]) {
+    throw configError(`default rate limit policy "${defaults.rateLimit}" is not defined in "rateLimits"`);
+  }
+
+  const services = {};
+  for (const [name, service] of Object.entries(config.services)) {
+    services[name] = normalizeService(name, service, defaults, rateLimits);
+  }
+
+  // 前缀不能重叠，否则请求会被哪个服务处理取决于声明顺序
+  const prefixes = Object.values(services).map((service) => service.prefix);
+  for (const prefix of prefixes) {
+    const overlap = prefixes.find((other) => other !== prefix && other.startsWith(`${prefix}/`));
+    if (overlap || prefixes.indexOf(prefix) !== prefixes.lastIndexOf(prefix)) {
+      throw configError(`service prefix ${prefix} overlaps with ${overlap || prefix}`);
+    }
+  }
+
+  return { services, rateLimits, defaultRateLimit: defaults.rateLimit };
+}
+
+function loadRouteConfig(file, baseDefaults) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw configError(`cannot read ${file}: ${error.message}`);
+  }
+  return normalizeRouteConfig(raw, baseDefaults);
+}
+
+// 监听配置文件变化；监听所在目录，编辑器保存时替换文件也能收到通知
+function watchRouteConfig(file, onChange, { debounce = 200 } = {}) {
+  const basename = path.basename(file);
+  let timer = null;
+
+  const watcher = fs.watch(path.dirname(file), (eventType, changed) => {
+    if (changed && changed !== basename) {
+      return;
+    }
+    clearTimeout(timer);
+    timer = setTimeout(onChange, debounce);
+  });
+
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    }
+  };
+}
+
+module.exports = {
+  ROUTE_CONFIG_ERROR,
+  PRE_AUTH_RATE_LIMIT,
+  LOAD_BALANCING,
+  normalizeRouteConfig,
+  loadRouteConfig,
+  watchRouteConfig
+};
@@ -0,0 +1,175 @@
+// 当前生效的路由表：按配置为每个服务创建熔断器、上游实例池、代理和限流器
+//
+// 重新加载配置时先完整构建新路由表再替换，新配置无效时继续使用旧配置；
+// 同名服务保留熔断器状态，同一地址的实例保留健康状态；令牌桶保存在限流存储中，重新加载后保留
+const { compilePath, createAuthMiddleware } = require('./auth');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { UpstreamPool } = require('./upstream-pool');
+const { createServiceProxy } = require('./proxy');
+const { createRateLimiter } = require('./rate-limit');
+const { PRE_AUTH_RATE_LIMIT, loadRouteConfig, watchRouteConfig } = require('./route-config');
+const { createLogger } = require('../shared/logger');
+
+const logger = createLogger({ component: 'route-table' });
+
+class RouteTable {
+  constructor({ file, secret, rateLimitStore, apiKeys, baseDefaults = {} }) {
+    this.file = file;
+    this.secret = secret;
+    this.rateLimitStore = rateLimitStore;
+    this.apiKeys = apiKeys;
+    this.baseDefaults = baseDefaults;
+    this.services = {};
+    this.entries = [];
+    this.breakers = new Map();
+    this.pools = new Map();
+    this.limiters = new Map();
+    this.defaultLimiter = null;
+    this.preAuthLimiter = null;
+    this.auth = null;
+    this.watcher = null;
+  }
+
+  // 读取配置文件并替换路由表，配置无效时抛出错误且不修改当前路由表
+  load() {
+    const config = loadRouteConfig(this.file, this.baseDefaults);
+    this.apply(config);
+    return config;
+  }
+
+  // 文件变化时调用，错误只记录日志
+  reload() {
+    try {
+      this.load();
+      logger.info('Route config reloaded', { file: this.file, routes: this.describe() });
+    } catch (error) {
+      logger.error('Failed to reload route config, keeping the current routes', { file: this.file, error });
+    }
+  }
+
+  apply({ services, rateLimits, defaultRateLimit }) {
+    const limiters = new Map(Object.entries(rateLimits).map(([name, policy]) => [
+      name,
+      createRateLimiter(name, policy, this.rateLimitStore, { apiKeys: this.apiKeys })
+    ]));
+
+    const breakers = new Map();
+    const pools = new Map();
+    const entries = Object.values(services).map((service) => {
+      let breaker = this.breakers.get(service.name);
+      if (breaker) {
+        breaker.configure(service.circuitBreaker);
+      } else {
+        breaker = new CircuitBreaker(service.name, service.circuitBreaker);
+        breaker.on('stateChange', ({ state, previous }) => {
+          logger.warn('Circuit breaker state changed', { targetService: service.name, state, previous });
+        });
+      }
+      breakers.set(service.name, breaker);
+
+      let pool = this.pools.get(service.name);
+      if (pool) {
+        pool.configure(service);
+      } else {
+        pool = new UpstreamPool(service.name, service);
+      }
+      pools.set(service.name, pool);
+
+      return {
+        service,
+        breaker,
+        pool,
+        limiter: limiters.get(service.rateLimit),
+        // 单独配置了限流策略的路由
+        routeLimiters: service.routes
+          .filter((route) => route.rateLimit)
+          .map((route) => ({
+            method: route.method ? route.method.toUpperCase() : null,
+            pattern: compilePath(route.path),
+            limiter: limiters.get(route.rateLimit)
+          })),
+        proxy: createServiceProxy(service, { breaker, pool })
+      };
+    });
+
+    // 已删除的服务停止健康检查
+    for (const [name, pool] of this.pools) {
+      if (!pools.has(name)) {
+        pool.stop();
+      }
+    }
+
+    this.services = services;
+    this.entries = entries;
+    this.breakers = breakers;
+    this.pools = pools;
+    this.limiters = limiters;
+    this.defaultLimiter = limiters.get(defaultRateLimit);
+    this.preAuthLimiter = limiters.get(PRE_AUTH_RATE_LIMIT);
+    this.auth = createAuthMiddleware({ secret: this.secret, services });
+
+    for (const pool of pools.values()) {
+      pool.start();
+    }
+  }
+
+  describe() {
+    return this.entries
+      .map(({ service }) => `${service.prefix} -> ${service.targets.join(', ')}`)
+      .join('; ');
+  }
+
+  watch() {
+    if (!this.watcher) {
+      this.watcher = watchRouteConfig(this.file, () => this.reload());
+    }
+  }
+
+  close() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+    for (const pool of this.pools.values()) {
+      pool.stop();
+    }
+  }
+
+  match(path) {
+    return this.entries.find(({ service }) => path === service.prefix || path.startsWith(`${service.prefix}/`));
+  }
+
+  // 以下中间件都在每次请求时读取当前路由表，重新加载后立即生效
+
+  // 所有请求在认证之前先按 preAuth 策略计数，访问令牌无效的请求也会消耗额度
+  preAuthRateLimiter() {
+    return (req, res, next) => this.preAuthLimiter(req, res, next);
+  }
+
+  // 路由配置了限流策略时使用路由的策略，否则使用服务的策略，网关自身的接口使用默认策略
+  rateLimiter() {
+    return (req, res, next) => {
+      const entry = this.match(req.path);
+      if (!entry) {
+        return this.defaultLimiter(req, res, next);
+      }
+      const route = entry.routeLimiters.find((r) => (!r.method || r.method === req.method) && r.pattern.test(req.path));
+      return (route ? route.limiter : entry.limiter)(req, res, next);
+    };
+  }
+
+  authenticate() {
+    return (req, res, next) => this.auth(req, res, next);
+  }
+
+  proxy() {
+    return (req, res, next) => {
+      const entry = this.match(req.path);
+      return entry ? entry.proxy(req, res) : next();
+    };
+  }
+}
+
+module.exports = {
+  RouteTable
+};
@@ -0,0 +1,197 @@
+// 服务的上游实例池：负载均衡选择实例，主动健康检查和转发失败都会把实例摘除
+const { LOAD_BALANCING } = require('./route-config');
+const { createLogger } = require('../shared/logger');
+
+const logger = createLogger({ component: 'upstream-pool' });
+
+// 请求实例的健康检查地址，返回 { ok, error }；非 2xx 响应、连接失败和超时都算失败
+async function probe(url, timeout) {
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+    // 读完响应体，连接才能复用
+    await response.arrayBuffer();
+    return response.ok ? { ok: true } : { ok: false, error: `HTTP ${response.status}` };
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      return { ok: false, error: `timed out after ${timeout}ms` };
+    }
+    return { ok: false, error: error.cause ? error.cause.code || error.cause.message : error.message };
+  }
+}
+
+function createUpstream(url) {
+  return {
+    url,
+    healthy: true,
+    activeRequests: 0,
+    consecutiveFailures: 0,
+    consecutiveSuccesses: 0,
+    lastChecked: null,
+    lastSuccess: null,
+    lastFailure: null,
+    latencyMs: null,
+    lastError: null
+  };
+}
+
+class UpstreamPool {
+  constructor(name, options) {
+    this.name = name;
+    this.upstreams = [];
+    this.nextIndex = 0;
+    this.timer = null;
+    this.configure(options);
+  }
+
+  // 重新加载配置时保留仍在使用的实例的状态（健康状态、进行中的请求数）
+  configure({ targets, loadBalancing, healthCheck }) {
+    const existing = new Map(this.upstreams.map((upstream) => [upstream.url, upstream]));
+    this.upstreams = targets.map((url) => existing.get(url) || createUpstream(url));
+    this.loadBalancing = loadBalancing;
+    this.healthCheck = healthCheck;
+    this.nextIndex = this.nextIndex % this.upstreams.length;
+
+    if (this.timer) {
+      this.stop();
+      this.start();
+    }
+  }
+
+  // 选择一个健康的实例，exclude 中的实例（本次请求已失败的）尽量不选；没有可用实例时返回 null
+  select(exclude = []) {
+    const healthy = this.upstreams.filter((upstream) => upstream.healthy);
+    const candidates = healthy.filter((upstream) => !exclude.includes(upstream.url));
+    const pool = candidates.length > 0 ? candidates : healthy;
+    if (pool.length === 0) {
+      return null;
+    }
+
+    if (this.loadBalancing === LOAD_BALANCING.LEAST_CONNECTIONS) {
+      // 进行中的请求数相同时轮流选择，避免总是落到第一个实例
+      const offset = this.nextIndex++ % pool.length;
+      const ordered = pool.slice(offset).concat(pool.slice(0, offset));
+      return ordered.reduce((best, upstream) => (upstream.activeRequests < best.activeRequests ? upstream : best));
+    }
+
+    const upstream = pool[this.nextIndex % pool.length];
+    this.nextIndex = (this.nextIndex + 1) % pool.length;
+    return upstream;
+  }
+
+  acquire(upstream) {
+    upstream.activeRequests++;
+  }
+
+  release(upstream) {
+    upstream.activeRequests = Math.max(0, upstream.activeRequests - 1);
+  }
+
+  // 记录一次健康检查或转发的结果，连续失败/成功达到阈值时摘除/恢复实例；
+  // 没有开启健康检查（interval 为 0）时摘除的实例无法恢复，因此不摘除
+  recordResult(upstream, success, reason = null) {
+    if (this.healthCheck.interval === 0) {
+      return;
+    }
+    if (success) {
+      upstream.consecutiveFailures = 0;
+      upstream.consecutiveSuccesses++;
+      upstream.lastError = null;
+      if (!upstream.healthy && upstream.consecutiveSuccesses >= this.healthCheck.healthyThreshold) {
+        upstream.healthy = true;
+        logger.info('Upstream is healthy again', { targetService: this.name, upstream: upstream.url });
+      }
+      return;
+    }
+
+    upstream.consecutiveSuccesses = 0;
+    upstream.consecutiveFailures++;
+    upstream.lastError = reason;
+    if (upstream.healthy && upstream.consecutiveFailures >= this.healthCheck.unhealthyThreshold) {
+      upstream.healthy = false;
+      logger.warn('Upstream ejected', { targetService: this.name, upstream: upstream.url, reason });
+    }
+  }
+
+  // 记录检查时间、耗时和最近一次成功/失败的时间，状态接口直接返回这些结果而不实时检查
+  async checkUpstream(upstream) {
+    const start = Date.now();
+    const { ok, error } = await probe(`${upstream.url}${this.healthCheck.path}`, this.healthCheck.timeout);
+    const now = new Date().toISOString();
+    upstream.lastChecked = now;
+    upstream.latencyMs = Date.now() - start;
+    if (ok) {
+      upstream.lastSuccess = now;
+    } else {
+      upstream.lastFailure = now;
+    }
+    this.recordResult(upstream, ok, ok ? null : `health check failed: ${error}`);
+    return ok;
+  }
+
+  async checkAll() {
+    return Promise.all(this.upstreams.map((upstream) => this.checkUpstream(upstream)));
+  }
+
+  // interval 为 0 时不做定时健康检查
+  start() {
+    if (this.timer || this.healthCheck.interval === 0) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.checkAll().catch((error) => {
+        logger.error('Health check failed', { targetService: this.name, error });
+      });
+    }, this.healthCheck.interval);
+    this.timer.unref();
+    this.checkAll().catch(() => {});
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  isHealthy() {
+    return this.upstreams.some((upstream) => upstream.healthy);
+  }
+
+  // 根据最近的健康检查结果汇总：healthy | unhealthy（没有可用实例）| unknown（还没有检查过或没有开启健康检查）
+  getHealth() {
+    const checked = this.upstreams.filter((upstream) => upstream.lastChecked);
+    const latest = (field) => checked.map((upstream) => upstream[field]).filter(Boolean).sort().pop() || null;
+
+    let status = 'unknown';
+    if (this.healthCheck.interval > 0 && checked.length > 0) {
+      status = this.isHealthy() ? 'healthy' : 'unhealthy';
+    }
+    return {
+      status,
+      healthyUpstreams: this.upstreams.filter((upstream) => upstream.healthy).length,
+      totalUpstreams: this.upstreams.length,
+      lastChecked: latest('lastChecked'),
+      lastSuccess: latest('lastSuccess'),
+      lastFailure: latest('lastFailure'),
+      latencyMs: checked.length > 0
+        ? Math.round(checked.reduce((sum, upstream) => sum + upstream.latencyMs, 0) / checked.length)
+        : null
+    };
+  }
+
+  getStatus() {
+    return this.upstreams.map((upstream) => ({
+      url: upstream.url,
+      status: upstream.healthy ? 'healthy' : 'ejected',
+      activeRequests: upstream.activeRequests,
+      consecutiveFailures: upstream.consecutiveFailures,
+      lastChecked: upstream.lastChecked,
+      lastSuccess: upstream.lastSuccess,
+      lastFailure: upstream.lastFailure,
+      latencyMs: upstream.latencyMs,
+      lastError: upstream.lastError
+    }));
+  }
+}
+
+module.exports = {
+  UpstreamPool
+};
@@ -0,0 +1,404 @@
+// 邮件发送日志：记录每一次发送尝试，并提供查询和统计
+const fs = require('fs');
+const path = require('path');
+
+const DELIVERY_STATUS = {
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+// 用户彻底删除后，发送记录中的收件人替换为该标记
+const ERASED_RECIPIENT = '[erased]';
+
+const TIME_BUCKETS = ['minute', 'hour', 'day'];
+const DEFAULT_QUERY_LIMIT = 50;
+const MAX_QUERY_LIMIT = 500;
+
+function normalizeLimit(limit) {
+  const value = parseInt(limit, 10) || DEFAULT_QUERY_LIMIT;
+  return Math.min(Math.max(value, 1), MAX_QUERY_LIMIT);
+}
+
+function normalizeBucket(bucket) {
+  return TIME_BUCKETS.includes(bucket) ? bucket : 'hour';
+}
+
+// 取整到时间桶起点（UTC）
+function truncateDate(date, bucket) {
+  const d = new Date(date);
+  if (bucket === 'day') {
+    d.setUTCHours(0, 0, 0, 0);
+  } else if (bucket === 'hour') {
+    d.setUTCMinutes(0, 0, 0);
+  } else {
+    d.setUTCSeconds(0, 0);
+  }
+  return d.toISOString();
+}
+
+// 线性插值百分位，与 PostgreSQL percentile_cont 结果一致
+function percentile(sortedValues, p) {
+  if (sortedValues.length === 0) {
+    return null;
+  }
+  const index = (sortedValues.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  const weight = index - lower;
+  return sortedValues[lower] * (1 - weight) + sortedValues[upper] * weight;
+}
+
+// 内存日志，用于测试；聚合逻辑也被文件日志复用
+class MemoryDeliveryLog {
+  constructor() {
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  async init() {}
+
+  async close() {}
+
+  createEntry(attempt) {
+    return {
+      id: this.nextId++,
+      recipient: attempt.recipient,
+      userId: attempt.userId || null,
+      template: attempt.template || null,
+      correlationId: attempt.correlationId || null,
+      messageId: attempt.messageId || null,
+      status: attempt.status,
+      error: attempt.error || null,
+      latencyMs: attempt.latencyMs,
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  async record(attempt) {
+    const entry = this.createEntry(attempt);
+    this.entries.push(entry);
+    return entry;
+  }
+
+  filterEntries({ userId, recipient, status, correlationId, template, from, to } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    return this.entries.filter((entry) => {
+      const createdAt = new Date(entry.createdAt).getTime();
+      return (!userId || String(entry.userId) === String(userId))
+        && (!recipient || entry.recipient === recipient)
+        && (!status || entry.status === status)
+        && (!correlationId || entry.correlationId === correlationId)
+        && (!template || entry.template === template)
+        && (fromTime === null || createdAt >= fromTime)
+        && (toTime === null || createdAt < toTime);
+    });
+  }
+
+  // 匿名化某个用户的全部发送记录，保留统计所需的字段，返回处理的条数
+  async eraseUser(userId) {
+    let count = 0;
+    for (const entry of this.entries) {
+      if (entry.userId === userId) {
+        entry.recipient = ERASED_RECIPIENT;
+        entry.userId = null;
+        count++;
+      }
+    }
+    return count;
+  }
+
+  async query(filters = {}) {
+    return this.filterEntries(filters)
+      .slice()
+      .reverse()
+      .slice(0, normalizeLimit(filters.limit));
+  }
+
+  async getStats({ from, to, bucket } = {}) {
+    const timeBucket = normalizeBucket(bucket);
+    const entries = this.filterEntries({ from, to });
+    const totals = { sent: 0, failed: 0 };
+    const byTemplate = new Map();
+    const byTime = new Map();
+    const failureReasons = new Map();
+
+    for (const entry of entries) {
+      totals[entry.status]++;
+
+      const templateKey = entry.template || 'unknown';
+      const templateStats = byTemplate.get(templateKey) || { template: templateKey, sent: 0, failed: 0 };
+      templateStats[entry.status]++;
+      byTemplate.set(templateKey, templateStats);
+
+      const timeKey = truncateDate(entry.createdAt, timeBucket);
+      const timeStats = byTime.get(timeKey) || { bucket: timeKey, sent: 0, failed: 0 };
+      timeStats[entry.status]++;
+      byTime.set(timeKey, timeStats);
+
+      if (entry.status === DELIVERY_STATUS.FAILED) {
+        const reason = entry.error || 'unknown';
+        failureReasons.set(reason, (failureReasons.get(reason) || 0) + 1);
+      }
+    }
+
+    const latencies = entries
+      .filter((entry) => entry.status === DELIVERY_STATUS.SENT)
+      .map((entry) => entry.latencyMs)
+      .sort((a, b) => a - b);
+
+    return {
+      totals,
+      byTemplate: Array.from(byTemplate.values()),
+      byTime: Array.from(byTime.values()).sort((a, b) => a.bucket.localeCompare(b.bucket)),
+      failureReasons: Array.from(failureReasons, ([reason, count]) => ({ reason, count }))
+        .sort((a, b) => b.count - a.count),
+      latency: {
+        p50: percentile(latencies, 0.5),
+        p95: percentile(latencies, 0.95)
+      },
+      bucket: timeBucket
+    };
+  }
+}
+
+// JSON Lines 文件日志：启动时加载历史记录，每次发送追加一行
+class FileDeliveryLog extends MemoryDeliveryLog {
+  constructor(options = {}) {
+    super();
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'email-deliveries.jsonl');
+    // 追加和重写串行执行，避免重写文件时丢失并发追加的记录
+    this.writeChain = Promise.resolve();
+  }
+
+  enqueueWrite(write) {
+    const result = this.writeChain.then(write);
+    this.writeChain = result.catch(() => {});
+    return result;
+  }
+
+  async init() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    try {
+      const content = await fs.promises.readFile(this.filePath, 'utf8');
+      this.entries = content
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+      this.nextId = this.entries.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async record(attempt) {
+    const entry = await super.record(attempt);
+    await this.enqueueWrite(() => fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`));
+    return entry;
+  }
+
+  // 匿名化后重写整个文件：先写临时文件再重命名，避免写到一半时丢失记录
+  async eraseUser(userId) {
+    const count = await super.eraseUser(userId);
+    if (count > 0) {
+      await this.enqueueWrite(async () => {
+        const tmpPath = `${this.filePath}.tmp`;
+        const content = this.entries.map((entry) => `${JSON.stringify(entry)}\n`).join('');
+        await fs.promises.writeFile(tmpPath, content);
+        await fs.promises.rename(tmpPath, this.filePath);
+      });
+    }
+    return count;
+  }
+}
+
+// PostgreSQL 日志，聚合在数据库中完成
+class PostgresDeliveryLog {
+  constructor(options = {}) {
+    if (!options.pool) {
+      throw new Error('PostgresDeliveryLog requires a pg pool');
+    }
+    this.pool = options.pool;
+  }
+
+  async init() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS email_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        recipient VARCHAR(255) NOT NULL,
+        template VARCHAR(100),
+        correlation_id VARCHAR(100),
+        message_id VARCHAR(255),
+        status VARCHAR(20) NOT NULL,
+        error TEXT,
+        latency_ms INTEGER NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_email_deliveries_created_at ON email_deliveries (created_at);
+      CREATE INDEX IF NOT EXISTS idx_email_deliveries_recipient ON email_deliveries (recipient);
+      CREATE INDEX IF NOT EXISTS idx_email_deliveries_correlation_id ON email_deliveries (correlation_id);
+      ALTER TABLE email_deliveries ADD COLUMN IF NOT EXISTS user_id INTEGER;
+      CREATE INDEX IF NOT EXISTS idx_email_deliveries_user_id ON email_deliveries (user_id);
+    `);
+  }
+
+  // pool 由调用方管理
+  async close() {}
+
+  toEntry(row) {
+    return {
+      id: Number(row.id),
+      recipient: row.recipient,
+      userId: row.user_id,
+      template: row.template,
+      correlationId: row.correlation_id,
+      messageId: row.message_id,
+      status: row.status,
+      error: row.error,
+      latencyMs: row.latency_ms,
+      createdAt: row.created_at
+    };
+  }
+
+  async record(attempt) {
+    const result = await this.pool.query(
+      `INSERT INTO email_deliveries (recipient, user_id, template, correlation_id, message_id, status, error, latency_ms)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [
+        attempt.recipient,
+        attempt.userId || null,
+        attempt.template || null,
+        attempt.correlationId || null,
+        attempt.messageId || null,
+        attempt.status,
+        attempt.error || null,
+        attempt.latencyMs
+      ]
+    );
+    return this.toEntry(result.rows[0]);
+  }
+
+  async eraseUser(userId) {
+    const result = await this.pool.query(
+      'UPDATE email_deliveries SET recipient = $1, user_id = NULL WHERE user_id = $2',
+      [ERASED_RECIPIENT, userId]
+    );
+    return result.rowCount;
+  }
+
+  // 根据过滤条件拼接 WHERE 子句
+  buildWhere(filters) {
+    const columns = {
+      userId: 'user_id',
+      recipient: 'recipient',
+      status: 'status',
+      correlationId: 'correlation_id',
+      template: 'template'
+    };
+    const conditions = [];
+    const params = [];
+
+    for (const [key, column] of Object.entries(columns)) {
+      if (filters[key]) {
+        params.push(filters[key]);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    }
+    if (filters.from) {
+      params.push(new Date(filters.from));
+      conditions.push(`created_at >= $${params.length}`);
+    }
+    if (filters.to) {
+      params.push(new Date(filters.to));
+      conditions.push(`created_at < $${params.length}`);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  async query(filters = {}) {
+    const { where, params } = this.buildWhere(filters);
+    params.push(normalizeLimit(filters.limit));
+    const result = await this.pool.query(
+      `SELECT * FROM email_deliveries ${where} ORDER BY id DESC LIMIT $${params.length}`,
+      params
+    );
+    return result.rows.map((row) => this.toEntry(row));
+  }
+
+  async getStats({ from, to, bucket } = {}) {
+    const timeBucket = normalizeBucket(bucket);
+    const { where, params } = this.buildWhere({ from, to });
+    const failedWhere = where ? `${where} AND status = 'failed'` : `WHERE status = 'failed'`;
+    const sentWhere = where ? `${where} AND status = 'sent'` : `WHERE status = 'sent'`;
+    const counts = `COUNT(*) FILTER (WHERE status = 'sent')::int AS sent,
+                    COUNT(*) FILTER (WHERE status = 'failed')::int AS failed`;
+
+    const [totals, byTemplate, byTime, failureReasons, latency] = await Promise.all([
+      this.pool.query(`SELECT ${counts} FROM email_deliveries ${where}`, params),
+      this.pool.query(
+        `SELECT COALESCE(template, 'unknown') AS template, ${counts}
+         FROM email_deliveries ${where} GROUP BY 1 ORDER BY 1`,
+        params
+      ),
+      this.pool.query(
+        `SELECT to_char(date_trunc('${timeBucket}', created_at AT TIME ZONE 'UTC'), 'YYYY-MM-DD"T"HH24:MI:SS".000Z"') AS bucket,
+                ${counts}
+         FROM email_deliveries ${where} GROUP BY 1 ORDER BY 1`,
+        params
+      ),
+      this.pool.query(
+        `SELECT COALESCE(error, 'unknown') AS reason, COUNT(*)::int AS count
+         FROM email_deliveries ${failedWhere} GROUP BY 1 ORDER BY 2 DESC`,
+        params
+      ),
+      this.pool.query(
+        `SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY latency_ms) AS p50,
+                percentile_cont(0.95) WITHIN GROUP (ORDER BY latency_ms) AS p95
+         FROM email_deliveries ${sentWhere}`,
+        params
+      )
+    ]);
+
+    return {
+      totals: totals.rows[0],
+      byTemplate: byTemplate.rows,
+      byTime: byTime.rows,
+      failureReasons: failureReasons.rows,
+      latency: {
+        p50: latency.rows[0].p50,
+        p95: latency.rows[0].p95
+      },
+      bucket: timeBucket
+    };
+  }
+}
+
+// 按类型创建发送日志：memory | file | postgres
+function createDeliveryLog(type, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryDeliveryLog();
+    case 'file':
+      return new FileDeliveryLog(options);
+    case 'postgres':
+      return new PostgresDeliveryLog(options);
+    default:
+      throw new Error(`Unknown delivery log type: ${type}`);
+  }
+}
+
+module.exports = {
+  DELIVERY_STATUS,
+  ERASED_RECIPIENT,
+  MemoryDeliveryLog,
+  FileDeliveryLog,
+  PostgresDeliveryLog,
+  createDeliveryLog
+};
@@ -0,0 +1,192 @@
+// 邮件模板引擎：从 templates 目录加载 Handlebars 模板
+//
+// 目录结构：
+//   templates/layouts/<name>.html.hbs   HTML 布局，通过 {{{body}}} 嵌入正文
+//   templates/partials/<name>.hbs       公共片段，{{> name}} 引用
+//   templates/<template>/template.json  主题（按语言）、布局和预览用的示例数据
+//   templates/<template>/<locale>.html.hbs / <locale>.text.hbs
+//
+// HTML 模板中的 {{ }} 会自动进行 HTML 转义；纯文本模板不转义
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+const { createLogger } = require('../shared/logger');
+
+const logger = createLogger({ component: 'templates' });
+
+const SUPPORTED_LOCALES = ['zh-CN', 'en'];
+const DEFAULT_LOCALE = 'zh-CN';
+
+// 把任意语言标签匹配到支持的语言：先精确匹配，再按主语言匹配 (en-US -> en, zh -> zh-CN)
+function resolveLocale(locale, supportedLocales = SUPPORTED_LOCALES, defaultLocale = DEFAULT_LOCALE) {
+  if (!locale) {
+    return defaultLocale;
+  }
+
+  const normalized = String(locale).toLowerCase();
+  const exact = supportedLocales.find((supported) => supported.toLowerCase() === normalized);
+  if (exact) {
+    return exact;
+  }
+
+  const language = normalized.split(/[-_]/)[0];
+  const partial = supportedLocales.find((supported) => supported.toLowerCase().split('-')[0] === language);
+  return partial || defaultLocale;
+}
+
+class TemplateEngine {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, 'templates');
+    this.defaultLocale = options.defaultLocale || DEFAULT_LOCALE;
+    this.supportedLocales = options.supportedLocales || SUPPORTED_LOCALES;
+    this.handlebars = Handlebars.create();
+    this.layouts = new Map();
+    this.templates = new Map();
+
+    this.registerHelpers();
+  }
+
+  registerHelpers() {
+    this.handlebars.registerHelper('eq', (a, b) => a === b);
+
+    // 返回第一个非空值，例如 {{or firstName username}}
+    this.handlebars.registerHelper('or', (...args) => {
+      const values = args.slice(0, -1);
+      return values.find((value) => value !== undefined && value !== null && value !== '') || '';
+    });
+
+    // 按当前模板语言格式化时间
+    this.handlebars.registerHelper('formatDate', (value, options) => {
+      if (!value) {
+        return '';
+      }
+      const locale = options.data.root.locale || this.defaultLocale;
+      return new Date(value).toLocaleString(locale, { timeZone: 'UTC', timeZoneName: 'short' });
+    });
+  }
+
+  // 启动时同步加载全部模板，模板错误会直接导致启动失败
+  load() {
+    const partialsDir = path.join(this.directory, 'partials');
+    for (const file of this.listFiles(partialsDir, '.hbs')) {
+      const name = path.basename(file, '.hbs');
+      this.handlebars.registerPartial(name, fs.readFileSync(path.join(partialsDir, file), 'utf8'));
+    }
+
+    const layoutsDir = path.join(this.directory, 'layouts');
+    for (const file of this.listFiles(layoutsDir, '.html.hbs')) {
+      const name = path.basename(file, '.html.hbs');
+      this.layouts.set(name, this.compileFile(path.join(layoutsDir, file)));
+    }
+
+    const entries = fs.readdirSync(this.directory, { withFileTypes: true });
+    for (const entry of entries) {
+      if (!entry.isDirectory() || ['partials', 'layouts'].includes(entry.name)) {
+        continue;
+      }
+      this.templates.set(entry.name, this.loadTemplate(entry.name));
+    }
+
+    logger.info('Loaded email templates', { count: this.templates.size, templates: this.listTemplates() });
+    return this;
+  }
+
+  listFiles(directory, extension) {
+    if (!fs.existsSync(directory)) {
+      return [];
+    }
+    return fs.readdirSync(directory).filter((file) => file.endsWith(extension));
+  }
+
+  compileFile(filePath, options = {}) {
+    return this.handlebars.compile(fs.readFileSync(filePath, 'utf8'), {
+      strict: false,
+      ...options
+    });
+  }
+
+  loadTemplate(name) {
+    const templateDir = path.join(this.directory, name);
+    const config = JSON.parse(fs.readFileSync(path.join(templateDir, 'template.json'), 'utf8'));
+    const locales = {};
+
+    for (const locale of this.supportedLocales) {
+      const htmlPath = path.join(templateDir, `${locale}.html.hbs`);
+      const textPath = path.join(templateDir, `${locale}.text.hbs`);
+      if (!fs.existsSync(htmlPath)) {
+        continue;
+      }
+
+      locales[locale] = {
+        // 主题是邮件头而不是 HTML，不做转义
+        subject: this.handlebars.compile((config.subject || {})[locale] || '', { noEscape: true }),
+        html: this.compileFile(htmlPath),
+        text: fs.existsSync(textPath) ? this.compileFile(textPath, { noEscape: true }) : null
+      };
+    }
+
+    if (!locales[this.defaultLocale]) {
+      throw new Error(`Email template ${name} has no ${this.defaultLocale} variant`);
+    }
+
+    return {
+      name,
+      layout: config.layout || null,
+      sampleData: config.sampleData || {},
+      locales
+    };
+  }
+
+  listTemplates() {
+    return Array.from(this.templates.keys());
+  }
+
+  getTemplate(name) {
+    const template = this.templates.get(name);
+    if (!template) {
+      const error = new Error(`Email template not found: ${name}`);
+      error.code = 'TEMPLATE_NOT_FOUND';
+      throw error;
+    }
+    return template;
+  }
+
+  // 渲染模板，返回 { subject, html, text, locale }
+  render(name, data = {}, locale = null) {
+    const template = this.getTemplate(name);
+    const resolved = resolveLocale(locale, this.supportedLocales, this.defaultLocale);
+    const variant = template.locales[resolved] || template.locales[this.defaultLocale];
+    const renderLocale = template.locales[resolved] ? resolved : this.defaultLocale;
+    const context = { ...data, locale: renderLocale };
+
+    let html = variant.html(context);
+    if (template.layout) {
+      const layout = this.layouts.get(template.layout);
+      if (!layout) {
+        throw new Error(`Email layout not found: ${template.layout}`);
+      }
+      // body 已经渲染并转义过，布局中用 {{{body}}} 原样嵌入
+      html = layout({ ...context, body: html });
+    }
+
+    return {
+      subject: variant.subject(context).trim(),
+      html,
+      text: variant.text ? variant.text(context) : null,
+      locale: renderLocale
+    };
+  }
+
+  // 使用 template.json 中的示例数据渲染，data 可覆盖部分字段
+  preview(name, locale = null, data = {}) {
+    const template = this.getTemplate(name);
+    return this.render(name, { ...template.sampleData, ...data }, locale);
+  }
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  resolveLocale,
+  TemplateEngine
+};
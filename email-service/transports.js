@@ -0,0 +1,196 @@
+// 邮件传输后端：smtp | file (maildir) | memory | jsonl
+// 非 SMTP 后端都实现为 nodemailer 自定义 transport，sendMail 的调用方式保持不变
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const nodemailer = require('nodemailer');
+
+const TRANSPORT_TYPES = {
+  SMTP: 'smtp',
+  FILE: 'file',
+  MEMORY: 'memory',
+  JSONL: 'jsonl'
+};
+
+// 提取便于查看和断言的邮件字段
+function summarizeMail(mail) {
+  const { data } = mail;
+  return {
+    messageId: mail.message.messageId(),
+    envelope: mail.message.getEnvelope(),
+    from: data.from,
+    to: data.to,
+    subject: data.subject,
+    text: data.text,
+    html: data.html,
+    date: new Date().toISOString()
+  };
+}
+
+function buildRawMessage(mail) {
+  return new Promise((resolve, reject) => {
+    mail.message.build((error, raw) => (error ? reject(error) : resolve(raw)));
+  });
+}
+
+// 本地开发用：每封邮件按 maildir 规范写入 <dir>/new，可直接用邮件客户端打开
+class MaildirTransport {
+  constructor(options = {}) {
+    this.name = 'maildir';
+    this.version = '1.0.0';
+    this.directory = options.directory || path.join(process.cwd(), 'data', 'outbox');
+    this.sequence = 0;
+  }
+
+  async ensureDirectories() {
+    for (const subdir of ['tmp', 'new', 'cur']) {
+      await fs.promises.mkdir(path.join(this.directory, subdir), { recursive: true });
+    }
+  }
+
+  // maildir 规范：先写入 tmp，再原子地移动到 new
+  async deliver(mail) {
+    await this.ensureDirectories();
+    const raw = await buildRawMessage(mail);
+    const fileName = `${Date.now()}.${process.pid}_${++this.sequence}.${os.hostname()}`;
+    const tmpPath = path.join(this.directory, 'tmp', fileName);
+    const newPath = path.join(this.directory, 'new', fileName);
+
+    await fs.promises.writeFile(tmpPath, raw);
+    await fs.promises.rename(tmpPath, newPath);
+
+    return {
+      envelope: mail.message.getEnvelope(),
+      messageId: mail.message.messageId(),
+      path: newPath
+    };
+  }
+
+  send(mail, callback) {
+    this.deliver(mail).then((info) => callback(null, info), callback);
+  }
+
+  async verify() {
+    await this.ensureDirectories();
+    await fs.promises.access(path.join(this.directory, 'new'), fs.constants.W_OK);
+    return true;
+  }
+
+  close() {}
+}
+
+// 测试用：邮件保存在内存中，通过 getMessages / getLastMessage / clear 检查
+class MemoryTransport {
+  constructor() {
+    this.name = 'memory';
+    this.version = '1.0.0';
+    this.messages = [];
+  }
+
+  send(mail, callback) {
+    const message = summarizeMail(mail);
+    this.messages.push(message);
+    callback(null, { envelope: message.envelope, messageId: message.messageId });
+  }
+
+  // filter.to 按收件人过滤，filter.subject 按主题过滤
+  getMessages(filter = {}) {
+    return this.messages.filter((message) => {
+      const recipients = message.envelope.to || [];
+      return (!filter.to || recipients.includes(filter.to))
+        && (!filter.subject || message.subject === filter.subject);
+    });
+  }
+
+  getLastMessage() {
+    return this.messages[this.messages.length - 1] || null;
+  }
+
+  clear() {
+    this.messages = [];
+  }
+
+  async verify() {
+    return true;
+  }
+
+  close() {}
+}
+
+// 每封邮件写一行 JSON，未指定文件时输出到 stdout
+class JsonLinesTransport {
+  constructor(options = {}) {
+    this.name = 'jsonl';
+    this.version = '1.0.0';
+    this.filePath = options.filePath || null;
+  }
+
+  async deliver(mail) {
+    const message = summarizeMail(mail);
+    const line = `${JSON.stringify(message)}\n`;
+
+    if (this.filePath) {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, line);
+    } else {
+      process.stdout.write(line);
+    }
+
+    return { envelope: message.envelope, messageId: message.messageId };
+  }
+
+  send(mail, callback) {
+    this.deliver(mail).then((info) => callback(null, info), callback);
+  }
+
+  async verify() {
+    if (this.filePath) {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, '');
+    }
+    return true;
+  }
+
+  close() {}
+}
+
+// 按配置创建 nodemailer transporter
+// 返回 { backend, transporter, transport }，transport 为自定义后端实例（SMTP 时为 null）
+function createEmailTransport(config) {
+  const backend = config.backend || TRANSPORT_TYPES.SMTP;
+  let transport = null;
+
+  switch (backend) {
+    case TRANSPORT_TYPES.SMTP:
+      return {
+        backend,
+        transporter: nodemailer.createTransport(config.smtp),
+        transport
+      };
+    case TRANSPORT_TYPES.FILE:
+      transport = new MaildirTransport({ directory: config.directory });
+      break;
+    case TRANSPORT_TYPES.MEMORY:
+      transport = new MemoryTransport();
+      break;
+    case TRANSPORT_TYPES.JSONL:
+      transport = new JsonLinesTransport({ filePath: config.filePath });
+      break;
+    default:
+      throw new Error(`Unknown email transport backend: ${backend}`);
+  }
+
+  return {
+    backend,
+    transporter: nodemailer.createTransport(transport),
+    transport
+  };
+}
+
+module.exports = {
+  TRANSPORT_TYPES,
+  MaildirTransport,
+  MemoryTransport,
+  JsonLinesTransport,
+  createEmailTransport
+};
@@ -1,44 +1,567 @@
 const amqp = require('amqplib');
-const { EXCHANGES, QUEUES, ROUTING_KEYS } = require('../shared/events');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { EXCHANGES, QUEUES, ROUTING_KEYS, EventUtils } = require('../shared/events');
+const {
+  SPAN_KINDS,
+  getTraceContext,
+  runWithTraceContext,
+  extractTraceContext,
+  injectTraceHeaders,
+  startSpan
+} = require('../shared/tracing');
+const { registry } = require('../shared/metrics');
+const { createLogger } = require('../shared/logger');
 
-class RabbitMQManager {
-  constructor(url) {
+const logger = createLogger({ component: 'rabbitmq' });
+
+// 重试/死信相关的消息头
+const RETRY_HEADERS = {
+  ATTEMPTS: 'x-attempts',
+  LAST_ERROR: 'x-last-error',
+  FAILURE_REASON: 'x-failure-reason',
+  FAILED_AT: 'x-failed-at',
+  ORIGINAL_QUEUE: 'x-original-queue'
+};
+
+// 消费者默认重试策略
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 5,        // 包含首次处理在内的最大尝试次数
+  initialDelay: 1000,    // 首次重试延迟 (ms)
+  backoffMultiplier: 2,  // 指数退避倍数
+  maxDelay: 60000        // 单次重试最大延迟 (ms)
+};
+
+// 消费者默认的流量控制，只指定其中一个时另一个取相同的值
+const DEFAULT_CONSUMER_OPTIONS = {
+  prefetch: 10,     // 消费者通道上未确认消息的上限 (basic.qos)
+  concurrency: 10   // 同时处理的消息数，大于 prefetch 没有意义
+};
+
+// 自动重连的默认退避策略
+const DEFAULT_RECONNECT_OPTIONS = {
+  initialDelay: 1000,
+  maxDelay: 30000,
+  maxRetries: Infinity
+};
+
+// 消息指标：result 为 success / error（处理耗时另有 duplicate），action 为 retry / dead_letter
+const metrics = {
+  published: registry.counter({
+    name: 'rabbitmq_messages_published_total',
+    help: 'Total number of messages published to RabbitMQ',
+    labelNames: ['exchange', 'routing_key', 'result']
+  }),
+  consumed: registry.counter({
+    name: 'rabbitmq_messages_consumed_total',
+    help: 'Total number of messages delivered to consumers',
+    labelNames: ['queue']
+  }),
+  acked: registry.counter({
+    name: 'rabbitmq_messages_acked_total',
+    help: 'Total number of messages acknowledged after successful (or duplicate) processing',
+    labelNames: ['queue']
+  }),
+  // 失败的消息先把副本投递到重试/死信队列再确认原消息，这里按处理结果计为 nack；
+  // 副本投递失败时原消息退回队列 (requeue)
+  nacked: registry.counter({
+    name: 'rabbitmq_messages_nacked_total',
+    help: 'Total number of messages that failed processing, by retry, dead-letter or requeue action',
+    labelNames: ['queue', 'action']
+  }),
+  processingDuration: registry.histogram({
+    name: 'rabbitmq_message_processing_duration_seconds',
+    help: 'Message processing duration in seconds',
+    labelNames: ['queue', 'result']
+  })
+};
+
+// 抓取时通过各实例的通道查询队列深度和消费者数量
+const managers = new Set();
+
+async function collectQueueStats() {
+  const stats = new Map();
+  for (const manager of managers) {
+    for (const [queue, stat] of await manager.getQueueStats()) {
+      stats.set(queue, stat);
+    }
+  }
+  return stats;
+}
+
+// 每次抓取只查询一次队列，同时更新队列深度和消费者数量；
+// rabbitmq_queue_consumers 注册在后，输出时已经是本次抓取的值
+registry.gauge({
+  name: 'rabbitmq_queue_messages',
+  help: 'Number of messages ready for delivery in the queue',
+  labelNames: ['queue'],
+  collect: async (gauge) => {
+    gauge.reset();
+    queueConsumers.reset();
+    for (const [queue, { messageCount, consumerCount }] of await collectQueueStats()) {
+      gauge.set({ queue }, messageCount);
+      queueConsumers.set({ queue }, consumerCount);
+    }
+  }
+});
+
+const queueConsumers = registry.gauge({
+  name: 'rabbitmq_queue_consumers',
+  help: 'Number of consumers subscribed to the queue',
+  labelNames: ['queue']
+});
+
+registry.gauge({
+  name: 'rabbitmq_connected',
+  help: 'Whether the RabbitMQ connection is established (1) or not (0)',
+  collect: (gauge) => {
+    gauge.reset();
+    if (managers.size > 0) {
+      gauge.set({}, [...managers].every((manager) => manager.isHealthy()) ? 1 : 0);
+    }
+  }
+});
+
+// 连接状态，状态变化时以同名事件和 stateChange 事件通知
+const CONNECTION_STATES = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  CLOSED: 'closed'
+};
+
+// 消费者状态
+const CONSUMER_STATES = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',       // 不再接收新消息，已收到的消息继续处理，resume 后恢复
+  CANCELLED: 'cancelled'
+};
+
+function assertPositiveInteger(value, name) {
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+}
+
+// consumeMessages 返回的消费者。每个消费者使用独立的通道，通道出错只影响这个消费者，不影响发布；
+// prefetch 限制通道上未确认的消息数，concurrency 限制同时处理的消息数，
+// 指定 orderingKey 时同一个键的消息按投递顺序逐条处理，不同键之间仍然并发
+class Consumer {
+  constructor(manager, queue, callback, options = {}) {
+    const { retry, idempotency, prefetch, concurrency, orderingKey, ...channelOptions } = options;
+    this.manager = manager;
+    this.queue = queue;
+    this.callback = callback;
+    this.retryOptions = { ...manager.retryOptions, ...retry };
+    this.idempotency = idempotency;
+    this.concurrency = concurrency || prefetch || DEFAULT_CONSUMER_OPTIONS.concurrency;
+    this.prefetch = prefetch || concurrency || DEFAULT_CONSUMER_OPTIONS.prefetch;
+    assertPositiveInteger(this.prefetch, 'prefetch');
+    assertPositiveInteger(this.concurrency, 'concurrency');
+    this.orderingKey = orderingKey || null;
+    this.channelOptions = channelOptions;
+
+    this.state = CONSUMER_STATES.ACTIVE;
+    this.channel = null;
+    this.consumerTag = null;
+    this.topology = null;
+    this.restartAttempts = 0;
+    this.restartTimer = null;
+
+    // 已收到、等待处理的消息 { channel, msg, key, done }
+    this.pending = [];
+    this.active = 0;
+    // 正在处理的排序键
+    this.activeKeys = new Set();
+    // 从收到到处理完成的消息
+    this.inFlight = new Set();
+  }
+
+  // 在新通道上开始消费；连接恢复后由 restoreConsumers 再次调用
+  async start() {
+    const { manager } = this;
+    this.topology = await manager.setupRetryTopology(this.queue, this.retryOptions);
+
+    const channel = await manager.connection.createChannel();
+    channel.on('error', (error) => {
+      logger.error('RabbitMQ consumer channel error', { queue: this.queue, error });
+    });
+    channel.on('close', () => this.handleChannelClosed(channel));
+    await channel.prefetch(this.prefetch);
+    this.channel = channel;
+
+    if (this.state === CONSUMER_STATES.ACTIVE) {
+      await this.subscribe();
+    }
+  }
+
+  async subscribe() {
+    const channel = this.channel;
+    const consumeOptions = {
+      noAck: false,
+      ...this.channelOptions
+    };
+    const { consumerTag } = await channel.consume(this.queue, (msg) => {
+      if (msg) {
+        this.enqueue(channel, msg);
+      }
+    }, consumeOptions);
+
+    this.consumerTag = consumerTag;
+    this.restartAttempts = 0;
+    logger.info('Started consuming messages', {
+      queue: this.queue,
+      prefetch: this.prefetch,
+      concurrency: this.concurrency,
+      ordered: !!this.orderingKey,
+      maxAttempts: this.retryOptions.maxAttempts
+    });
+  }
+
+  async unsubscribe() {
+    const { channel, consumerTag } = this;
+    this.consumerTag = null;
+    if (channel && consumerTag) {
+      await channel.cancel(consumerTag);
+    }
+  }
+
+  // 通道关闭后未确认的消息由 broker 重新投递，本地等待中的消息直接丢弃。
+  // 连接断开时由重连恢复；连接仍在时（例如回调中确认了未知的消息）只重建这个消费者的通道
+  handleChannelClosed(channel) {
+    if (channel !== this.channel) {
+      return;
+    }
+    this.channel = null;
+    this.consumerTag = null;
+    const dropped = this.pending;
+    this.pending = [];
+    dropped.forEach((item) => item.done());
+
+    const { manager } = this;
+    if (manager.closing || this.state !== CONSUMER_STATES.ACTIVE || !manager.isConnected) {
+      return;
+    }
+
+    const delay = manager.getReconnectDelay(++this.restartAttempts);
+    logger.warn('Consumer channel closed unexpectedly, restarting consumer', { queue: this.queue, delayMs: delay });
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      if (this.state !== CONSUMER_STATES.ACTIVE || this.channel || !manager.isConnected) {
+        return;
+      }
+      this.start().catch((error) => {
+        logger.error('Failed to restart consumer', { queue: this.queue, error });
+      });
+    }, delay);
+  }
+
+  getOrderingKey(msg) {
+    if (!this.orderingKey) {
+      return null;
+    }
+    try {
+      const key = this.orderingKey(JSON.parse(msg.content.toString()), msg);
+      return key === undefined || key === null ? null : String(key);
+    } catch (error) {
+      // 无法解析的消息在处理时进入死信队列，不需要排序
+      return null;
+    }
+  }
+
+  enqueue(channel, msg) {
+    const done = new Promise((resolve) => {
+      this.pending.push({ channel, msg, key: this.getOrderingKey(msg), done: resolve });
+    });
+    this.inFlight.add(done);
+    this.manager.inFlight.add(done);
+    done.then(() => {
+      this.inFlight.delete(done);
+      this.manager.inFlight.delete(done);
+    });
+    this.dispatch();
+  }
+
+  // 按收到的顺序取出可以处理的消息：并发数未满，且同一个键没有正在处理的消息
+  dispatch() {
+    let index = 0;
+    while (index < this.pending.length && this.active < this.concurrency) {
+      const item = this.pending[index];
+      if (item.key !== null && this.activeKeys.has(item.key)) {
+        index++;
+        continue;
+      }
+      this.pending.splice(index, 1);
+      this.process(item);
+    }
+  }
+
+  async process(item) {
+    this.active++;
+    if (item.key !== null) {
+      this.activeKeys.add(item.key);
+    }
+    try {
+      await this.manager.processMessage(item.channel, this, item.msg);
+    } finally {
+      this.active--;
+      if (item.key !== null) {
+        this.activeKeys.delete(item.key);
+      }
+      item.done();
+      this.dispatch();
+    }
+  }
+
+  // 暂停：broker 不再投递新消息，已收到的消息继续处理，通道保留
+  async pause() {
+    if (this.state !== CONSUMER_STATES.ACTIVE) {
+      return;
+    }
+    this.state = CONSUMER_STATES.PAUSED;
+    await this.unsubscribe();
+    logger.info('Consumer paused', { queue: this.queue, inFlight: this.inFlight.size });
+  }
+
+  // 恢复消费；未连接时在连接恢复后开始
+  async resume() {
+    if (this.state !== CONSUMER_STATES.PAUSED) {
+      return;
+    }
+    this.state = CONSUMER_STATES.ACTIVE;
+    if (this.manager.isConnected) {
+      await (this.channel ? this.subscribe() : this.start());
+    }
+    logger.info('Consumer resumed', { queue: this.queue });
+  }
+
+  // 取消：不再接收新消息，等待已收到的消息处理完成后关闭通道，重连后也不再恢复
+  async cancel() {
+    if (this.state === CONSUMER_STATES.CANCELLED) {
+      return;
+    }
+    this.state = CONSUMER_STATES.CANCELLED;
+    this.manager.consumers = this.manager.consumers.filter((consumer) => consumer !== this);
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+
+    await this.unsubscribe();
+    await this.waitForIdle();
+
+    const channel = this.channel;
+    this.channel = null;
+    if (channel) {
+      await channel.close().catch(() => {});
+    }
+    logger.info('Stopped consuming messages', { queue: this.queue });
+  }
+
+  async waitForIdle() {
+    while (this.inFlight.size > 0) {
+      await Promise.allSettled([...this.inFlight]);
+    }
+  }
+
+  getStatus() {
+    return {
+      queue: this.queue,
+      state: this.state,
+      prefetch: this.prefetch,
+      concurrency: this.concurrency,
+      processing: this.active,
+      waiting: this.pending.length
+    };
+  }
+}
+
+class RabbitMQManager extends EventEmitter {
+  constructor(url, options = {}) {
+    super();
     this.url = url;
     this.connection = null;
+    // 发布通道，也用于声明交换机和队列；每个消费者另有自己的通道
     this.channel = null;
     this.isConnected = false;
+    this.retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options.retry };
+
+    // 发布和消费时按 shared/events 中的 schema 校验事件
+    this.validateEvents = options.validateEvents !== false;
+
+    // 发布确认模式：publishMessage 在 broker ack 之后才 resolve
+    this.confirm = options.confirm !== false;
+    this.confirmTimeout = options.confirmTimeout || 10000;
+    // 等待确认的消息 (messageId -> { returned })，用于匹配 mandatory 退回
+    this.pendingConfirms = new Map();
+    // 写缓冲区已满时等待 drain 的 Promise
+    this.drainPromise = null;
+
+    // 连接状态与自动重连
+    this.state = CONNECTION_STATES.DISCONNECTED;
+    this.reconnectOptions = { ...DEFAULT_RECONNECT_OPTIONS, ...options.reconnect };
+    this.reconnecting = null;
+    this.reconnectWait = null;
+    this.closing = false;
+
+    // 已注册的消费者，重连后自动恢复
+    this.consumers = [];
+    // 正在处理的消息，关闭前等待它们完成
+    this.inFlight = new Set();
+
+    // 断线期间的发布策略：'reject' 立即报错，'buffer' 缓存到重连后再发送
+    this.offlinePublish = options.offlinePublish || 'reject';
+    this.publishBufferSize = options.publishBufferSize || 1000;
+    this.publishBuffer = [];
+
+    // 声明过的队列，/metrics 中报告其深度和消费者数量
+    this.monitoredQueues = new Set();
+    managers.add(this);
+  }
+
+  setState(state, detail = {}) {
+    if (state === this.state) {
+      return;
+    }
+    const previous = this.state;
+    this.state = state;
+    this.isConnected = state === CONNECTION_STATES.CONNECTED;
+    this.emit('stateChange', { state, previous, ...detail });
+    this.emit(state, detail);
   }
 
   async connect() {
+    this.closing = false;
+    if (this.state !== CONNECTION_STATES.RECONNECTING) {
+      this.setState(CONNECTION_STATES.CONNECTING);
+    }
+
+    let connection;
     try {
-      console.log('Connecting to RabbitMQ...');
-      this.connection = await amqp.connect(this.url);
-      this.channel = await this.connection.createChannel();
+      logger.info('Connecting to RabbitMQ');
+      connection = await amqp.connect(this.url);
+      if (this.closing) {
+        throw new Error('RabbitMQ connection is closing');
+      }
+      const channel = this.confirm
+        ? await connection.createConfirmChannel()
+        : await connection.createChannel();
+
+      // mandatory 消息无法路由时 broker 会在 ack 之前先退回
+      channel.on('return', (msg) => {
+        const pending = this.pendingConfirms.get(msg.properties.messageId);
+        if (pending) {
+          pending.returned = msg.fields;
+        }
+        logger.error('Message returned by broker', {
+          reason: msg.fields.replyText,
+          exchange: msg.fields.exchange,
+          routingKey: msg.fields.routingKey
+        });
+      });
+
+      channel.on('error', (err) => {
+        logger.error('RabbitMQ channel error', err);
+      });
+
+      // 通道被 broker 关闭（如 PRECONDITION_FAILED）而连接仍在时，关闭连接以触发完整重连
+      channel.on('close', () => {
+        if (!this.closing && connection === this.connection) {
+          logger.warn('RabbitMQ channel closed unexpectedly');
+          connection.close().catch(() => {});
+        }
+      });
       
       // 设置连接事件监听
-      this.connection.on('error', (err) => {
-        console.error('RabbitMQ connection error:', err);
-        this.isConnected = false;
+      connection.on('error', (err) => {
+        logger.error('RabbitMQ connection error', err);
       });
 
-      this.connection.on('close', () => {
-        console.log('RabbitMQ connection closed');
-        this.isConnected = false;
+      connection.on('close', () => {
+        if (connection === this.connection) {
+          this.handleConnectionLost();
+        }
       });
 
-      this.isConnected = true;
-      console.log('Connected to RabbitMQ successfully');
+      this.connection = connection;
+      this.channel = channel;
+      this.pendingConfirms.clear();
       
       // 初始化交换机和队列
       await this.setupExchangesAndQueues();
+
+      // 恢复之前注册的消费者
+      await this.restoreConsumers();
+
+      this.setState(CONNECTION_STATES.CONNECTED);
+      logger.info('Connected to RabbitMQ');
+
+      this.flushPublishBuffer();
       
       return this.channel;
     } catch (error) {
-      console.error('Failed to connect to RabbitMQ:', error);
+      logger.error('Failed to connect to RabbitMQ', error);
+      if (connection) {
+        this.connection = null;
+        this.channel = null;
+        await connection.close().catch(() => {});
+      }
+      if (this.state !== CONNECTION_STATES.RECONNECTING) {
+        this.setState(CONNECTION_STATES.DISCONNECTED);
+      }
       throw error;
     }
   }
 
+  // 连接意外断开：除非是主动关闭，否则在后台自动重连
+  handleConnectionLost() {
+    this.connection = null;
+    this.channel = null;
+    this.drainPromise = null;
+
+    if (this.closing) {
+      this.setState(CONNECTION_STATES.CLOSED);
+      return;
+    }
+
+    logger.warn('RabbitMQ connection lost');
+    this.setState(CONNECTION_STATES.DISCONNECTED);
+
+    this.reconnect().catch((error) => {
+      logger.error('RabbitMQ reconnection failed', error);
+      this.setState(CONNECTION_STATES.DISCONNECTED);
+      this.rejectPublishBuffer(error);
+    });
+  }
+
+  // 带抖动的指数退避：在 [delay/2, delay] 之间随机，避免多个实例同时重连
+  getReconnectDelay(attempt) {
+    const { initialDelay, maxDelay } = this.reconnectOptions;
+    const delay = Math.min(initialDelay * Math.pow(2, attempt - 1), maxDelay);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  waitBeforeReconnect(delay) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.reconnectWait = null;
+        resolve();
+      }, delay);
+      this.reconnectWait = { timer, resolve };
+    });
+  }
+
+  // 暂停的消费者在 resume 时才创建通道
+  async restoreConsumers() {
+    for (const consumer of this.consumers) {
+      if (consumer.state === CONSUMER_STATES.ACTIVE) {
+        await consumer.start();
+      }
+    }
+    if (this.consumers.length > 0) {
+      logger.info('Restored consumers', { consumers: this.consumers.length });
+    }
+  }
+
   async setupExchangesAndQueues() {
     try {
       // 创建交换机
@@ -49,6 +572,7 @@ class RabbitMQManager {
       await this.channel.assertQueue(QUEUES.USER_EVENTS, { durable: true });
       await this.channel.assertQueue(QUEUES.EMAIL_REQUESTS, { durable: true });
       await this.channel.assertQueue(QUEUES.EMAIL_RESPONSES, { durable: true });
+      Object.values(QUEUES).forEach((queue) => this.monitoredQueues.add(queue));
 
       // 绑定队列到交换机
       await this.channel.bindQueue(
@@ -57,31 +581,179 @@ class RabbitMQManager {
         ROUTING_KEYS.USER_REGISTERED
       );
 
+      await this.channel.bindQueue(
+        QUEUES.EMAIL_REQUESTS,
+        EXCHANGES.USER_EVENTS,
+        ROUTING_KEYS.USER_EMAIL_VERIFICATION_REQUESTED
+      );
+
+      await this.channel.bindQueue(
+        QUEUES.EMAIL_REQUESTS,
+        EXCHANGES.USER_EVENTS,
+        ROUTING_KEYS.USER_PASSWORD_RESET_REQUESTED
+      );
+
+      await this.channel.bindQueue(
+        QUEUES.EMAIL_REQUESTS,
+        EXCHANGES.USER_EVENTS,
+        ROUTING_KEYS.USER_PASSWORD_CHANGED
+      );
+
+      await this.channel.bindQueue(
+        QUEUES.EMAIL_REQUESTS,
+        EXCHANGES.USER_EVENTS,
+        ROUTING_KEYS.USER_DELETED
+      );
+
+      // user.events 队列没有消费者，不再接收用户事件（事件中有邮箱、验证和重置令牌）；
+      // 解除旧版本创建的绑定，解除不存在的绑定不会报错
+      await this.channel.unbindQueue(
+        QUEUES.USER_EVENTS,
+        EXCHANGES.USER_EVENTS,
+        ROUTING_KEYS.USER_ALL
+      );
+
       await this.channel.bindQueue(
         QUEUES.EMAIL_RESPONSES,
         EXCHANGES.EMAIL_EVENTS,
         'email.*'
       );
 
-      console.log('RabbitMQ exchanges and queues setup completed');
+      logger.info('RabbitMQ exchanges and queues setup completed');
     } catch (error) {
-      console.error('Failed to setup exchanges and queues:', error);
+      logger.error('Failed to setup exchanges and queues', error);
       throw error;
     }
   }
 
+  // 写缓冲区满 (publish 返回 false) 时等待 drain 事件，后续发布也会排在其后
+  waitForDrain() {
+    if (!this.drainPromise) {
+      this.drainPromise = new Promise((resolve, reject) => {
+        const channel = this.channel;
+        const cleanup = () => {
+          channel.removeListener('drain', onDrain);
+          channel.removeListener('close', onClose);
+          this.drainPromise = null;
+        };
+        const onDrain = () => {
+          cleanup();
+          resolve();
+        };
+        const onClose = () => {
+          cleanup();
+          reject(new Error('Channel closed while waiting for drain'));
+        };
+        channel.once('drain', onDrain);
+        channel.once('close', onClose);
+      });
+    }
+    return this.drainPromise;
+  }
+
+  // 在确认通道上发布并等待 broker ack/nack
+  publishWithConfirm(exchange, routingKey, messageBuffer, publishOptions) {
+    return new Promise((resolve, reject) => {
+      const { messageId } = publishOptions;
+      const pending = { returned: null };
+      this.pendingConfirms.set(messageId, pending);
+
+      const timer = setTimeout(() => {
+        this.pendingConfirms.delete(messageId);
+        const error = new Error(`Publish confirm timed out after ${this.confirmTimeout}ms`);
+        error.code = 'CONFIRM_TIMEOUT';
+        reject(error);
+      }, this.confirmTimeout);
+
+      const written = this.channel.publish(
+        exchange,
+        routingKey,
+        messageBuffer,
+        publishOptions,
+        (err) => {
+          clearTimeout(timer);
+          this.pendingConfirms.delete(messageId);
+
+          if (err) {
+            const error = new Error('Message was nacked by broker');
+            error.code = 'NACK';
+            return reject(error);
+          }
+          if (pending.returned) {
+            const error = new Error(`Message is unroutable: ${pending.returned.replyText}`);
+            error.code = 'UNROUTABLE';
+            return reject(error);
+          }
+          resolve();
+        }
+      );
+
+      if (!written) {
+        this.waitForDrain().catch(() => {});
+      }
+    });
+  }
+
+  // options.traceContext 指定所属的追踪链路（发件箱中继使用写入时保存的上下文），默认使用当前上下文；
+  // traceparent 和 X-Request-ID 写入消息头，correlationId 属性为事件的 correlationId
+  // 其余选项透传给 channel.publish
   async publishMessage(exchange, routingKey, message, options = {}) {
+    let span = null;
+    let buffered = false;
     try {
       if (!this.isConnected) {
+        if (this.offlinePublish === 'buffer' && !this.closing) {
+          // 重连后的实际发布会再次调用 publishMessage 并记录指标
+          buffered = true;
+          return await this.bufferPublish(exchange, routingKey, message, options);
+        }
         throw new Error('Not connected to RabbitMQ');
       }
 
+      if (this.validateEvents) {
+        EventUtils.validateEvent(message);
+      }
+
+      // 等待之前的背压解除
+      if (this.drainPromise) {
+        await this.drainPromise;
+      }
+
+      const { traceContext, headers, ...amqpOptions } = options;
+      const parent = traceContext || getTraceContext() || {};
+      span = startSpan(`${routingKey} publish`, {
+        kind: SPAN_KINDS.PRODUCER,
+        parent: { ...parent, requestId: parent.requestId || message.correlationId || null },
+        attributes: {
+          'messaging.system': 'rabbitmq',
+          'messaging.destination.name': exchange,
+          'messaging.rabbitmq.destination.routing_key': routingKey
+        }
+      });
+
       const messageBuffer = Buffer.from(JSON.stringify(message));
       const publishOptions = {
         persistent: true,
+        mandatory: true,
+        contentType: 'application/json',
         timestamp: Date.now(),
-        ...options
+        // 使用事件 ID 作为 messageId，发件箱重发时保持不变
+        messageId: message.eventId || crypto.randomUUID(),
+        correlationId: message.correlationId || span.context.requestId || undefined,
+        headers: {
+          ...injectTraceHeaders(span.context),
+          ...headers
+        },
+        ...amqpOptions
       };
+      span.setAttribute('messaging.message.id', publishOptions.messageId);
+
+      if (this.confirm) {
+        await this.publishWithConfirm(exchange, routingKey, messageBuffer, publishOptions);
+        metrics.published.inc({ exchange, routing_key: routingKey, result: 'success' });
+        logger.debug('Message published', { exchange, routingKey, messageId: publishOptions.messageId, confirmed: true });
+        return true;
+      }
 
       const published = this.channel.publish(
         exchange,
@@ -90,95 +762,460 @@ class RabbitMQManager {
         publishOptions
       );
 
-      if (published) {
-        console.log(`Message published to ${exchange} with routing key ${routingKey}`);
-        return true;
-      } else {
-        throw new Error('Failed to publish message');
+      // false 只表示本地写缓冲区已满，消息已入缓冲，等待 drain 即可
+      if (!published) {
+        await this.waitForDrain();
       }
+
+      metrics.published.inc({ exchange, routing_key: routingKey, result: 'success' });
+      logger.debug('Message published', { exchange, routingKey, messageId: publishOptions.messageId, confirmed: false });
+      return true;
     } catch (error) {
-      console.error('Error publishing message:', error);
+      if (span) {
+        span.setError(error);
+      }
+      if (!buffered) {
+        metrics.published.inc({ exchange, routing_key: routingKey, result: 'error' });
+      }
+      logger.error('Error publishing message', { exchange, routingKey, error });
       throw error;
+    } finally {
+      if (span) {
+        span.end();
+      }
     }
   }
 
-  async consumeMessages(queue, callback, options = {}) {
+  // 断线期间缓存发布请求，重连成功后按顺序发送；记录当前的追踪上下文，发送时沿用
+  bufferPublish(exchange, routingKey, message, options) {
+    if (this.publishBuffer.length >= this.publishBufferSize) {
+      return Promise.reject(new Error('Not connected to RabbitMQ and publish buffer is full'));
+    }
+    options = { traceContext: getTraceContext() || undefined, ...options };
+    return new Promise((resolve, reject) => {
+      this.publishBuffer.push({ exchange, routingKey, message, options, resolve, reject });
+      logger.warn('RabbitMQ disconnected, buffered message', { exchange, routingKey, pending: this.publishBuffer.length });
+    });
+  }
+
+  flushPublishBuffer() {
+    const buffered = this.publishBuffer;
+    this.publishBuffer = [];
+    if (buffered.length > 0) {
+      logger.info('Flushing buffered messages', { count: buffered.length });
+    }
+    for (const entry of buffered) {
+      this.publishMessage(entry.exchange, entry.routingKey, entry.message, entry.options)
+        .then(entry.resolve, entry.reject);
+    }
+  }
+
+  rejectPublishBuffer(error) {
+    const buffered = this.publishBuffer;
+    this.publishBuffer = [];
+    for (const entry of buffered) {
+      entry.reject(error);
+    }
+  }
+
+  // 每个消费队列的死信与重试拓扑：
+  //   <queue>.dlx       死信交换机 (direct)
+  //   <queue>.dlq       死信队列，重试耗尽的消息最终停留在这里
+  //   <queue>.retry.<delay>ms  延迟 delay 毫秒的重试队列，TTL 到期后经默认交换机回到 <queue>；
+  //                            延迟相同的重试（达到 maxDelay 之后）共用一个队列
+  getRetryTopology(queue, retryOptions) {
+    const retryQueues = [];
+    for (let attempt = 1; attempt < retryOptions.maxAttempts; attempt++) {
+      const delay = Math.min(
+        retryOptions.initialDelay * Math.pow(retryOptions.backoffMultiplier, attempt - 1),
+        retryOptions.maxDelay
+      );
+      retryQueues.push({ name: `${queue}.retry.${delay}ms`, delay });
+    }
+
+    return {
+      deadLetterExchange: `${queue}.dlx`,
+      deadLetterQueue: `${queue}.dlq`,
+      retryQueues
+    };
+  }
+
+  async setupRetryTopology(queue, retryOptions) {
+    const topology = this.getRetryTopology(queue, retryOptions);
+
+    await this.channel.assertExchange(topology.deadLetterExchange, 'direct', { durable: true });
+    await this.channel.assertQueue(topology.deadLetterQueue, { durable: true });
+    await this.channel.bindQueue(topology.deadLetterQueue, topology.deadLetterExchange, queue);
+    this.monitoredQueues.add(queue);
+    this.monitoredQueues.add(topology.deadLetterQueue);
+
+    // 队列名中包含 TTL，修改退避参数时声明新的队列，而不是用不同的参数重新声明已有队列（PRECONDITION_FAILED）；
+    // 不再使用的旧重试队列清空后可以手动删除
+    for (const retryQueue of topology.retryQueues) {
+      await this.channel.assertQueue(retryQueue.name, {
+        durable: true,
+        arguments: {
+          'x-message-ttl': retryQueue.delay,
+          'x-dead-letter-exchange': '',
+          'x-dead-letter-routing-key': queue
+        }
+      });
+    }
+
+    return topology;
+  }
+
+  // 重新投递时保留原消息属性，并合并新的消息头
+  buildRepublishOptions(msg, headers) {
+    const { properties } = msg;
+    return {
+      persistent: true,
+      contentType: properties.contentType,
+      contentEncoding: properties.contentEncoding,
+      correlationId: properties.correlationId,
+      messageId: properties.messageId,
+      timestamp: properties.timestamp,
+      type: properties.type,
+      appId: properties.appId,
+      headers: {
+        ...properties.headers,
+        ...headers
+      }
+    };
+  }
+
+  // 把失败消息的副本投递到重试/死信队列。使用发布通道：确认模式下等待 broker 确认，
+  // mandatory 保证队列不存在时报错而不是丢弃
+  async republish(exchange, routingKey, content, options) {
+    if (!this.isHealthy()) {
+      throw new Error(`RabbitMQ connection is ${this.state}`);
+    }
+    const publishOptions = { ...options, mandatory: true };
+    if (this.confirm) {
+      await this.publishWithConfirm(exchange, routingKey, content, publishOptions);
+    } else if (!this.channel.publish(exchange, routingKey, content, publishOptions)) {
+      await this.waitForDrain();
+    }
+  }
+
+  // 处理失败：未超过最大次数时进入对应的延迟重试队列，否则进入死信队列。
+  // 副本确认投递后才确认原消息；投递失败时把原消息退回队列，不会丢失
+  async handleFailedMessage(channel, queue, msg, error, topology, retryOptions) {
+    const headers = msg.properties.headers || {};
+    const attempts = (parseInt(headers[RETRY_HEADERS.ATTEMPTS], 10) || 0) + 1;
+    const retryable = error.retryable !== false;
+    const retry = retryable && attempts < retryOptions.maxAttempts;
+    const retryQueue = retry ? topology.retryQueues[attempts - 1] : null;
+
     try {
-      if (!this.isConnected) {
-        throw new Error('Not connected to RabbitMQ');
+      if (retry) {
+        // 经默认交换机直接投递到重试队列
+        await this.republish('', retryQueue.name, msg.content, this.buildRepublishOptions(msg, {
+          [RETRY_HEADERS.ATTEMPTS]: attempts,
+          [RETRY_HEADERS.LAST_ERROR]: error.message
+        }));
+      } else {
+        await this.republish(topology.deadLetterExchange, queue, msg.content, this.buildRepublishOptions(msg, {
+          [RETRY_HEADERS.ATTEMPTS]: attempts,
+          [RETRY_HEADERS.LAST_ERROR]: error.message,
+          [RETRY_HEADERS.FAILURE_REASON]: retryable ? 'max-attempts-exceeded' : 'non-retryable',
+          [RETRY_HEADERS.FAILED_AT]: new Date().toISOString(),
+          [RETRY_HEADERS.ORIGINAL_QUEUE]: queue
+        }));
       }
+    } catch (publishError) {
+      metrics.nacked.inc({ queue, action: 'requeue' });
+      logger.error('Failed to move message to retry or dead-letter queue, requeueing', {
+        queue,
+        messageId: msg.properties.messageId,
+        attempt: attempts,
+        error: publishError
+      });
+      channel.nack(msg, false, true);
+      return;
+    }
 
-      const consumeOptions = {
-        noAck: false,
-        ...options
-      };
+    if (retry) {
+      metrics.nacked.inc({ queue, action: 'retry' });
+      logger.warn('Message scheduled for retry', {
+        queue,
+        messageId: msg.properties.messageId,
+        attempt: attempts,
+        maxRetries: retryOptions.maxAttempts - 1,
+        delayMs: retryQueue.delay
+      });
+    } else {
+      metrics.nacked.inc({ queue, action: 'dead_letter' });
+      logger.error('Message dead-lettered', {
+        queue,
+        deadLetterQueue: topology.deadLetterQueue,
+        messageId: msg.properties.messageId,
+        attempts,
+        error
+      });
+    }
 
-      await this.channel.consume(queue, async (msg) => {
-        if (msg) {
-          try {
-            const content = JSON.parse(msg.content.toString());
-            console.log(`Received message from ${queue}:`, content);
-            
-            await callback(content, msg);
-            
-            // 手动确认消息
-            this.channel.ack(msg);
-          } catch (error) {
-            console.error('Error processing message:', error);
-            
-            // 拒绝消息并重新入队
-            this.channel.nack(msg, false, true);
-          }
-        }
-      }, consumeOptions);
+    // 副本已确认投递到重试/死信队列，确认原消息
+    channel.ack(msg);
+  }
 
-      console.log(`Started consuming messages from ${queue}`);
+  // 幂等处理的去重键：默认使用事件 ID，其次是 AMQP messageId；按队列区分命名空间
+  getIdempotencyKey(queue, content, msg, idempotency) {
+    const id = idempotency.keyFn
+      ? idempotency.keyFn(content, msg)
+      : content.eventId || msg.properties.messageId;
+    return id ? `${queue}:${id}` : null;
+  }
+
+  // options.retry 可覆盖重试策略
+  // options.idempotency = { store, keyFn } 开启去重：已处理过的事件直接确认并跳过
+  // options.prefetch / options.concurrency 限制未确认和同时处理的消息数（默认都为 10）
+  // options.orderingKey = (content, msg) => key 时同一个键的消息按顺序处理，例如按 userId；
+  //   失败进入重试队列的消息会排到同一个键的后续消息之后
+  // 其余选项透传给 channel.consume
+  // 返回 Consumer，可以 pause / resume / cancel；消费者会被记录下来，断线重连后自动重新注册
+  async consumeMessages(queue, callback, options = {}) {
+    const consumer = new Consumer(this, queue, callback, options);
+    this.consumers.push(consumer);
+
+    if (!this.isConnected) {
+      logger.info('Consumer registered, will start once connected', { queue });
+      return consumer;
+    }
+
+    try {
+      await consumer.start();
+      return consumer;
     } catch (error) {
-      console.error('Error setting up consumer:', error);
+      this.consumers = this.consumers.filter((c) => c !== consumer);
+      logger.error('Error setting up consumer', { queue, error });
       throw error;
     }
   }
 
+  // 恢复发布方的追踪上下文，处理过程中的日志和发出的事件都属于同一条链路
+  processMessage(channel, consumer, msg) {
+    const { queue } = consumer;
+    const parent = extractTraceContext(msg.properties.headers || {}) || {};
+    const span = startSpan(`${queue} process`, {
+      kind: SPAN_KINDS.CONSUMER,
+      parent: { ...parent, requestId: parent.requestId || msg.properties.correlationId || null },
+      attributes: {
+        'messaging.system': 'rabbitmq',
+        'messaging.source.name': queue,
+        'messaging.rabbitmq.destination.routing_key': msg.fields.routingKey,
+        'messaging.message.id': msg.properties.messageId
+      }
+    });
+
+    // 消息只能在投递它的通道上确认，重连后旧消息由 broker 重新投递
+    return runWithTraceContext(span.context, () => this.handleMessage(channel, queue, msg, {
+      callback: consumer.callback,
+      idempotency: consumer.idempotency,
+      topology: consumer.topology,
+      retryOptions: consumer.retryOptions,
+      span
+    })).finally(() => span.end());
+  }
+
+  // 处理一条消息：校验、去重、调用回调，失败时进入重试或死信队列
+  async handleMessage(channel, queue, msg, { callback, idempotency, topology, retryOptions, span }) {
+    metrics.consumed.inc({ queue });
+    const endTimer = metrics.processingDuration.startTimer({ queue });
+    // 处理结果：success、duplicate（已处理过，跳过）或 error
+    let result = 'error';
+    try {
+      let content;
+      try {
+        content = JSON.parse(msg.content.toString());
+        if (this.validateEvents) {
+          // 旧版本事件先升级到当前版本再校验
+          content = EventUtils.upcastEvent(content);
+          EventUtils.validateEvent(content);
+        }
+      } catch (parseError) {
+        // 无法解析或不符合 schema 的消息重试也不会成功，直接进入死信队列
+        parseError.retryable = false;
+        span.setError(parseError);
+        await this.handleFailedMessage(channel, queue, msg, parseError, topology, retryOptions);
+        return;
+      }
+
+      try {
+        // 只记录消息元数据，消息体中可能有邮箱等个人信息
+        logger.debug('Received message', {
+          queue,
+          routingKey: msg.fields.routingKey,
+          messageId: msg.properties.messageId,
+          eventType: content.type
+        });
+
+        const idempotencyKey = idempotency
+          ? this.getIdempotencyKey(queue, content, msg, idempotency)
+          : null;
+
+        if (idempotencyKey && await idempotency.store.isProcessed(idempotencyKey)) {
+          logger.info('Skipping duplicate message', { queue, idempotencyKey });
+          result = 'duplicate';
+          channel.ack(msg);
+          metrics.acked.inc({ queue });
+          return;
+        }
+        
+        await callback(content, msg);
+        result = 'success';
+
+        // 处理已成功，记录失败时仍然确认，避免重复执行副作用
+        if (idempotencyKey) {
+          await idempotency.store.markProcessed(idempotencyKey).catch((storeError) => {
+            logger.error('Failed to record processed message', { queue, idempotencyKey, error: storeError });
+          });
+        }
+        
+        // 手动确认消息
+        channel.ack(msg);
+        metrics.acked.inc({ queue });
+      } catch (error) {
+        span.setError(error);
+        logger.error('Error processing message', { queue, messageId: msg.properties.messageId, error });
+        await this.handleFailedMessage(channel, queue, msg, error, topology, retryOptions);
+      }
+    } catch (channelError) {
+      // 通道已关闭时无法确认，消息会在重连后被重新投递
+      logger.error('Failed to settle message', { queue, error: channelError });
+    } finally {
+      endTimer({ result });
+    }
+  }
+
+  // 取消所有消费者：broker 不再投递新消息，已收到的消息处理完成后关闭各自的通道，重连后也不再恢复
+  async cancelConsumers() {
+    await Promise.all([...this.consumers].map((consumer) => consumer.cancel()));
+  }
+
+  getConsumerStatus() {
+    return this.consumers.map((consumer) => consumer.getStatus());
+  }
+
+  // 等待正在处理的消息完成（包括确认、重试或进入死信队列）
+  async waitForIdle() {
+    while (this.inFlight.size > 0) {
+      await Promise.allSettled([...this.inFlight]);
+    }
+  }
+
+  // 查询已声明队列的深度和消费者数量；未连接时返回空结果
+  // 每个队列用 checkQueue 的临时通道查询，查询失败（例如队列已被删除）的队列只记录日志，不出现在结果中
+  async getQueueStats() {
+    const stats = new Map();
+    if (!this.isHealthy()) {
+      return stats;
+    }
+    for (const queue of this.monitoredQueues) {
+      try {
+        stats.set(queue, await this.checkQueue(queue));
+      } catch (error) {
+        logger.warn('Failed to get queue stats', { queue, error });
+      }
+    }
+    return stats;
+  }
+
+  // 检查队列是否存在，返回 { messageCount, consumerCount }；
+  // 队列不存在时 broker 会关闭执行检查的通道，所以使用临时通道，不影响发布通道
+  async checkQueue(queue) {
+    if (!this.isHealthy()) {
+      throw new Error(`RabbitMQ connection is ${this.state}`);
+    }
+    const channel = await this.connection.createChannel();
+    // 404 通过 checkQueue 的 Promise 返回，这里只避免未处理的 error 事件
+    channel.on('error', () => {});
+    try {
+      const { messageCount, consumerCount } = await channel.checkQueue(queue);
+      return { messageCount, consumerCount };
+    } finally {
+      await channel.close().catch(() => {});
+    }
+  }
+
   async close() {
+    this.closing = true;
+    managers.delete(this);
+
+    // 取消正在等待的重连
+    if (this.reconnectWait) {
+      clearTimeout(this.reconnectWait.timer);
+      this.reconnectWait.resolve();
+      this.reconnectWait = null;
+    }
+    this.rejectPublishBuffer(new Error('RabbitMQ connection is closing'));
+    for (const consumer of this.consumers) {
+      clearTimeout(consumer.restartTimer);
+    }
+
+    // 关闭连接时各消费者的通道随之关闭
     try {
-      if (this.channel) {
-        await this.channel.close();
+      const { channel, connection } = this;
+      if (channel) {
+        await channel.close();
       }
-      if (this.connection) {
-        await this.connection.close();
+      if (connection) {
+        await connection.close();
       }
-      this.isConnected = false;
-      console.log('RabbitMQ connection closed');
+      this.connection = null;
+      this.channel = null;
+      this.setState(CONNECTION_STATES.CLOSED);
+      logger.info('RabbitMQ connection closed');
     } catch (error) {
-      console.error('Error closing RabbitMQ connection:', error);
+      logger.error('Error closing RabbitMQ connection', error);
     }
   }
 
   // 健康检查
   isHealthy() {
-    return this.isConnected && this.connection && !this.connection.closed;
+    return this.state === CONNECTION_STATES.CONNECTED && !!this.channel;
   }
 
-  // 重连机制
-  async reconnect(maxRetries = 5, delay = 5000) {
-    let retries = 0;
-    
-    while (retries < maxRetries && !this.isConnected) {
-      try {
-        console.log(`Attempting to reconnect (${retries + 1}/${maxRetries})...`);
-        await this.connect();
-        return true;
-      } catch (error) {
-        retries++;
-        if (retries < maxRetries) {
-          console.log(`Reconnection failed, retrying in ${delay}ms...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
+  // 重连机制：带抖动的指数退避，成功后恢复拓扑、消费者和缓存的发布
+  async reconnect(maxRetries = this.reconnectOptions.maxRetries) {
+    if (this.reconnecting) {
+      return this.reconnecting;
+    }
+
+    this.reconnecting = (async () => {
+      let attempt = 0;
+
+      while (!this.closing && !this.isConnected) {
+        attempt++;
+        this.setState(CONNECTION_STATES.RECONNECTING, { attempt });
+
+        try {
+          logger.info('Attempting to reconnect to RabbitMQ', { attempt, maxRetries });
+          await this.connect();
+          return true;
+        } catch (error) {
+          if (attempt >= maxRetries) {
+            throw new Error('Failed to reconnect to RabbitMQ after maximum retries');
+          }
+          const delay = this.getReconnectDelay(attempt);
+          logger.warn('Reconnection failed, retrying', { attempt, delayMs: delay });
+          await this.waitBeforeReconnect(delay);
         }
       }
+
+      return this.isConnected;
+    })();
+
+    try {
+      return await this.reconnecting;
+    } finally {
+      this.reconnecting = null;
     }
-    
-    throw new Error('Failed to reconnect to RabbitMQ after maximum retries');
   }
 }
 
-module.exports = RabbitMQManager;
\ No newline at end of file
+module.exports = RabbitMQManager;
+module.exports.RETRY_HEADERS = RETRY_HEADERS;
+module.exports.CONNECTION_STATES = CONNECTION_STATES;
+module.exports.CONSUMER_STATES = CONSUMER_STATES;
+module.exports.Consumer = Consumer;
\ No newline at end of file
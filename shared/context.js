@@ -0,0 +1,25 @@
+// 当前请求或消息的上下文，保存在 AsyncLocalStorage 中：
+//   { traceId, spanId, traceFlags, requestId }
+// 追踪 (tracing.js) 负责建立上下文，日志 (logger.js) 读取其中的 requestId 和 traceId
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+function getTraceContext() {
+  return storage.getStore() || null;
+}
+
+function getRequestId() {
+  const context = getTraceContext();
+  return context ? context.requestId : null;
+}
+
+function runWithTraceContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+module.exports = {
+  getTraceContext,
+  getRequestId,
+  runWithTraceContext
+};
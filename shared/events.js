@@ -1,8 +1,21 @@
 // 共享事件定义和工具函数
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { getRequestId } = require('./context');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ component: 'events' });
 
 // 事件类型常量
 const EVENT_TYPES = {
   USER_REGISTERED: 'user.registered',
+  USER_EMAIL_VERIFICATION_REQUESTED: 'user.email_verification_requested',
+  USER_EMAIL_VERIFIED: 'user.email_verified',
+  USER_PASSWORD_RESET_REQUESTED: 'user.password_reset_requested',
+  USER_PASSWORD_CHANGED: 'user.password_changed',
+  USER_UPDATED: 'user.updated',
+  USER_DELETED: 'user.deleted',
   EMAIL_SEND_REQUEST: 'email.send.request',
   EMAIL_SENT: 'email.sent',
   EMAIL_FAILED: 'email.failed'
@@ -24,18 +37,275 @@ const EXCHANGES = {
 // 路由键常量
 const ROUTING_KEYS = {
   USER_REGISTERED: 'user.registered',
+  USER_EMAIL_VERIFICATION_REQUESTED: 'user.email_verification_requested',
+  USER_EMAIL_VERIFIED: 'user.email_verified',
+  USER_PASSWORD_RESET_REQUESTED: 'user.password_reset_requested',
+  USER_PASSWORD_CHANGED: 'user.password_changed',
+  USER_UPDATED: 'user.updated',
+  USER_DELETED: 'user.deleted',
+  USER_ALL: 'user.#',
   EMAIL_WELCOME: 'email.welcome',
   EMAIL_NOTIFICATION: 'email.notification'
 };
 
+// 目前没有订阅者的用户事件：发布时不设置 mandatory，没有队列绑定时 broker 直接丢弃，而不是退回后让发件箱反复重试
+const OPTIONAL_ROUTING_KEYS = new Set([
+  ROUTING_KEYS.USER_EMAIL_VERIFIED,
+  ROUTING_KEYS.USER_UPDATED
+]);
+
+// 事件校验失败，重试无意义，消费端会直接进入死信队列
+class EventValidationError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'EventValidationError';
+    this.errors = errors;
+    this.retryable = false;
+  }
+}
+
+// 事件信封（所有事件通用字段）
+const ENVELOPE_SCHEMA = {
+  type: 'object',
+  required: ['type', 'data', 'timestamp', 'version'],
+  properties: {
+    eventId: { type: 'string' },
+    type: { type: 'string', minLength: 1 },
+    data: { type: 'object' },
+    timestamp: { type: 'string', format: 'date-time' },
+    correlationId: { type: 'string' },
+    version: { type: 'string' }
+  }
+};
+
+// 事件 schema 注册表：每种事件类型有一个当前版本和对应的 data schema，
+// 旧版本通过 upcaster 逐级升级到当前版本后再校验
+class EventSchemaRegistry {
+  constructor() {
+    this.ajv = new Ajv({ allErrors: true });
+    addFormats(this.ajv);
+    this.validateEnvelope = this.ajv.compile(ENVELOPE_SCHEMA);
+    this.schemas = new Map();
+    this.upcasters = new Map();
+  }
+
+  register(type, version, schema) {
+    this.schemas.set(type, {
+      version,
+      validate: this.ajv.compile(schema)
+    });
+  }
+
+  // upcast(data, event) 返回 toVersion 格式的 data
+  registerUpcaster(type, fromVersion, toVersion, upcast) {
+    if (!this.upcasters.has(type)) {
+      this.upcasters.set(type, new Map());
+    }
+    this.upcasters.get(type).set(fromVersion, { toVersion, upcast });
+  }
+
+  getCurrentVersion(type) {
+    const entry = this.schemas.get(type);
+    return entry ? entry.version : '1.0';
+  }
+
+  // 把旧版本事件升级到当前版本，返回新对象，不修改原事件
+  upcast(event) {
+    const entry = this.schemas.get(event.type);
+    if (!entry || event.version === entry.version) {
+      return event;
+    }
+
+    const upcasters = this.upcasters.get(event.type) || new Map();
+    let { version, data } = event;
+    const visited = new Set();
+
+    while (version !== entry.version) {
+      const step = upcasters.get(version);
+      if (!step || visited.has(version)) {
+        throw new EventValidationError(
+          `Unsupported version ${event.version} for event ${event.type} (current: ${entry.version})`
+        );
+      }
+      visited.add(version);
+      data = step.upcast(data, event);
+      version = step.toVersion;
+    }
+
+    return { ...event, data, version };
+  }
+
+  // 按序列化后的形式校验（Date 等对象会变成字符串，与线上传输一致）
+  validate(event) {
+    const json = JSON.parse(JSON.stringify(event));
+
+    if (!this.validateEnvelope(json)) {
+      throw new EventValidationError('Invalid event format', this.validateEnvelope.errors);
+    }
+
+    const entry = this.schemas.get(json.type);
+    if (!entry) {
+      return true;
+    }
+
+    if (json.version !== entry.version) {
+      throw new EventValidationError(
+        `Event ${json.type} has version ${json.version}, expected ${entry.version}`
+      );
+    }
+
+    if (!entry.validate(json.data)) {
+      const details = entry.validate.errors
+        .map((error) => `${error.instancePath || 'data'} ${error.message}`)
+        .join(', ');
+      throw new EventValidationError(`Invalid ${json.type} event: ${details}`, entry.validate.errors);
+    }
+
+    return true;
+  }
+}
+
+const nullableString = { type: ['string', 'null'] };
+
+const schemaRegistry = new EventSchemaRegistry();
+
+schemaRegistry.register(EVENT_TYPES.USER_REGISTERED, '1.0', {
+  type: 'object',
+  required: ['userId', 'username', 'email', 'registeredAt'],
+  properties: {
+    userId: { type: 'integer' },
+    username: { type: 'string', minLength: 1 },
+    email: { type: 'string', format: 'email' },
+    firstName: nullableString,
+    lastName: nullableString,
+    locale: nullableString,
+    registeredAt: { type: 'string', format: 'date-time' }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.USER_EMAIL_VERIFICATION_REQUESTED, '1.0', {
+  type: 'object',
+  required: ['userId', 'username', 'email', 'token', 'expiresAt'],
+  properties: {
+    userId: { type: 'integer' },
+    username: { type: 'string', minLength: 1 },
+    email: { type: 'string', format: 'email' },
+    firstName: nullableString,
+    locale: nullableString,
+    token: { type: 'string', minLength: 1 },
+    expiresAt: { type: 'string', format: 'date-time' }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.USER_EMAIL_VERIFIED, '1.0', {
+  type: 'object',
+  required: ['userId', 'email', 'verifiedAt'],
+  properties: {
+    userId: { type: 'integer' },
+    email: { type: 'string', format: 'email' },
+    verifiedAt: { type: 'string', format: 'date-time' }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.USER_PASSWORD_RESET_REQUESTED, '1.0', {
+  type: 'object',
+  required: ['userId', 'username', 'email', 'token', 'expiresAt'],
+  properties: {
+    userId: { type: 'integer' },
+    username: { type: 'string', minLength: 1 },
+    email: { type: 'string', format: 'email' },
+    firstName: nullableString,
+    locale: nullableString,
+    token: { type: 'string', minLength: 1 },
+    expiresAt: { type: 'string', format: 'date-time' }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.USER_PASSWORD_CHANGED, '1.0', {
+  type: 'object',
+  required: ['userId', 'username', 'email', 'changedAt'],
+  properties: {
+    userId: { type: 'integer' },
+    username: { type: 'string', minLength: 1 },
+    email: { type: 'string', format: 'email' },
+    firstName: nullableString,
+    locale: nullableString,
+    changedAt: { type: 'string', format: 'date-time' }
+  }
+});
+
+// changes 只包含发生变化的字段；修改邮箱时 previousEmail 为旧地址
+schemaRegistry.register(EVENT_TYPES.USER_UPDATED, '1.0', {
+  type: 'object',
+  required: ['userId', 'changes', 'updatedAt'],
+  properties: {
+    userId: { type: 'integer' },
+    changes: {
+      type: 'object',
+      minProperties: 1,
+      additionalProperties: false,
+      properties: {
+        firstName: nullableString,
+        lastName: nullableString,
+        locale: nullableString,
+        email: { type: 'string', format: 'email' }
+      }
+    },
+    previousEmail: { type: ['string', 'null'], format: 'email' },
+    updatedAt: { type: 'string', format: 'date-time' }
+  }
+});
+
+// mode 为 erase 时下游服务应删除或匿名化该用户的全部数据
+schemaRegistry.register(EVENT_TYPES.USER_DELETED, '1.0', {
+  type: 'object',
+  required: ['userId', 'mode', 'deletedAt'],
+  properties: {
+    userId: { type: 'integer' },
+    mode: { enum: ['soft', 'erase'] },
+    deletedAt: { type: 'string', format: 'date-time' }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.EMAIL_SENT, '1.0', {
+  type: 'object',
+  required: ['emailType', 'recipient', 'messageId', 'sentAt'],
+  properties: {
+    emailType: { type: 'string' },
+    recipient: { type: 'string', format: 'email' },
+    messageId: { type: 'string' },
+    sentAt: { type: 'string', format: 'date-time' },
+    userId: { type: 'integer' }
+  }
+});
+
+schemaRegistry.register(EVENT_TYPES.EMAIL_FAILED, '1.0', {
+  type: 'object',
+  required: ['emailType', 'recipient', 'error', 'failedAt'],
+  properties: {
+    emailType: { type: 'string' },
+    recipient: { type: 'string' },
+    error: { type: 'string' },
+    failedAt: { type: 'string', format: 'date-time' },
+    userId: { type: 'integer' }
+  }
+});
+
+// 演进示例：修改 user.registered 的 data 结构时，注册 2.0 schema 并添加
+//   schemaRegistry.registerUpcaster(EVENT_TYPES.USER_REGISTERED, '1.0', '2.0', (data) => ({ ...data, ... }));
+// 消费端收到 1.0 事件时会自动升级为 2.0 格式
+
 // 事件基类
 class BaseEvent {
   constructor(type, data, correlationId = null) {
+    // 事件唯一 ID，重复投递时保持不变，用于消费端去重
+    this.eventId = crypto.randomUUID();
     this.type = type;
     this.data = data;
     this.timestamp = new Date().toISOString();
-    this.correlationId = correlationId || this.generateId();
-    this.version = '1.0';
+    // 未指定时使用当前请求或消息的 requestId，同一条链路上的事件 correlationId 相同
+    this.correlationId = correlationId || getRequestId() || this.generateId();
+    this.version = schemaRegistry.getCurrentVersion(type);
   }
 
   generateId() {
@@ -44,6 +314,7 @@ class BaseEvent {
 
   toJSON() {
     return {
+      eventId: this.eventId,
       type: this.type,
       data: this.data,
       timestamp: this.timestamp,
@@ -54,6 +325,7 @@ class BaseEvent {
 
   static fromJSON(json) {
     const event = new BaseEvent(json.type, json.data, json.correlationId);
+    event.eventId = json.eventId || event.eventId;
     event.timestamp = json.timestamp;
     event.version = json.version;
     return event;
@@ -67,6 +339,48 @@ class UserRegisteredEvent extends BaseEvent {
   }
 }
 
+// 邮箱验证请求事件（注册和重新发送验证邮件时发布）
+class UserEmailVerificationRequestedEvent extends BaseEvent {
+  constructor(verificationData, correlationId = null) {
+    super(EVENT_TYPES.USER_EMAIL_VERIFICATION_REQUESTED, verificationData, correlationId);
+  }
+}
+
+// 邮箱验证完成事件
+class UserEmailVerifiedEvent extends BaseEvent {
+  constructor(verifiedData, correlationId = null) {
+    super(EVENT_TYPES.USER_EMAIL_VERIFIED, verifiedData, correlationId);
+  }
+}
+
+// 密码重置请求事件
+class UserPasswordResetRequestedEvent extends BaseEvent {
+  constructor(resetData, correlationId = null) {
+    super(EVENT_TYPES.USER_PASSWORD_RESET_REQUESTED, resetData, correlationId);
+  }
+}
+
+// 密码已修改事件
+class UserPasswordChangedEvent extends BaseEvent {
+  constructor(changeData, correlationId = null) {
+    super(EVENT_TYPES.USER_PASSWORD_CHANGED, changeData, correlationId);
+  }
+}
+
+// 用户资料更新事件
+class UserUpdatedEvent extends BaseEvent {
+  constructor(updateData, correlationId = null) {
+    super(EVENT_TYPES.USER_UPDATED, updateData, correlationId);
+  }
+}
+
+// 用户删除事件
+class UserDeletedEvent extends BaseEvent {
+  constructor(deleteData, correlationId = null) {
+    super(EVENT_TYPES.USER_DELETED, deleteData, correlationId);
+  }
+}
+
 // 邮件发送请求事件
 class EmailSendRequestEvent extends BaseEvent {
   constructor(emailData, correlationId = null) {
@@ -90,11 +404,14 @@ class EmailFailedEvent extends BaseEvent {
 
 // 工具函数
 class EventUtils {
+  // 按事件类型的 schema 校验，失败时抛出 EventValidationError
   static validateEvent(event) {
-    if (!event.type || !event.data || !event.timestamp) {
-      throw new Error('Invalid event format');
-    }
-    return true;
+    return schemaRegistry.validate(event);
+  }
+
+  // 把旧版本事件升级到当前版本
+  static upcastEvent(event) {
+    return schemaRegistry.upcast(event);
   }
 
   static createCorrelationId() {
@@ -102,7 +419,13 @@ class EventUtils {
   }
 
   static logEvent(event, context = '') {
-    console.log(`[${context}] Event: ${event.type} | ID: ${event.correlationId} | Time: ${event.timestamp}`);
+    logger.info(`Event ${event.type}`, {
+      context,
+      eventType: event.type,
+      eventId: event.eventId,
+      eventCorrelationId: event.correlationId,
+      eventTimestamp: event.timestamp
+    });
   }
 }
 
@@ -111,8 +434,18 @@ module.exports = {
   QUEUES,
   EXCHANGES,
   ROUTING_KEYS,
+  OPTIONAL_ROUTING_KEYS,
+  EventValidationError,
+  EventSchemaRegistry,
+  schemaRegistry,
   BaseEvent,
   UserRegisteredEvent,
+  UserEmailVerificationRequestedEvent,
+  UserEmailVerifiedEvent,
+  UserPasswordResetRequestedEvent,
+  UserPasswordChangedEvent,
+  UserUpdatedEvent,
+  UserDeletedEvent,
   EmailSendRequestEvent,
   EmailSentEvent,
   EmailFailedEvent,
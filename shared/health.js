@@ -0,0 +1,136 @@
+// 健康检查：
+//   GET /health/live   进程能响应即返回 200，不检查依赖，用于判断是否需要重启
+//   GET /health/ready  逐个检查依赖（数据库、RabbitMQ、队列、SMTP 等），关键依赖都正常且服务不在关闭中时返回 200，否则 503
+//
+// 每个检查有自己的超时时间，互相并行；cacheTtl 内重复的检查直接返回上次的结果，避免每次探测都访问外部服务
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ component: 'health' });
+
+const CHECK_STATUS = {
+  OK: 'ok',
+  FAIL: 'fail'
+};
+
+const DEFAULT_CHECK_TIMEOUT_MS = 2000;
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${name} check timed out after ${ms}ms`);
+      error.code = 'HEALTH_CHECK_TIMEOUT';
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class HealthChecker {
+  constructor() {
+    this.checks = new Map();
+  }
+
+  // fn 抛出错误表示失败，返回值（或错误的 details 字段）作为 details 附在结果中；
+  // critical 为 false 的检查失败时只报告，不影响就绪状态（例如 user-service 的 RabbitMQ，事件会留在发件箱中）
+  register(name, fn, { timeout = DEFAULT_CHECK_TIMEOUT_MS, critical = true, cacheTtl = 0 } = {}) {
+    this.checks.set(name, { name, fn, timeout, critical, cacheTtl, result: null, checkedAt: 0, running: null });
+    return this;
+  }
+
+  // 同一个检查正在进行时共用同一次结果
+  runCheck(check) {
+    if (check.result && Date.now() - check.checkedAt < check.cacheTtl) {
+      return Promise.resolve(check.result);
+    }
+    if (!check.running) {
+      check.running = this.executeCheck(check).finally(() => {
+        check.running = null;
+      });
+    }
+    return check.running;
+  }
+
+  async executeCheck(check) {
+    const start = process.hrtime.bigint();
+    const result = { status: CHECK_STATUS.OK, critical: check.critical };
+    try {
+      const details = await withTimeout(Promise.resolve().then(check.fn), check.timeout, check.name);
+      if (details !== undefined) {
+        result.details = details;
+      }
+    } catch (error) {
+      result.status = CHECK_STATUS.FAIL;
+      result.error = error.message;
+      if (error.details !== undefined) {
+        result.details = error.details;
+      }
+    }
+    result.latencyMs = Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10;
+    result.checkedAt = new Date().toISOString();
+
+    // 只在状态变化时记录日志，探测频繁时避免刷屏
+    const previous = check.result;
+    if (result.status === CHECK_STATUS.FAIL && (!previous || previous.status === CHECK_STATUS.OK)) {
+      logger.warn('Health check failed', { check: check.name, critical: check.critical, error: result.error });
+    } else if (result.status === CHECK_STATUS.OK && previous && previous.status === CHECK_STATUS.FAIL) {
+      logger.info('Health check recovered', { check: check.name });
+    }
+
+    check.result = result;
+    check.checkedAt = Date.now();
+    return result;
+  }
+
+  // 返回 { ready, checks: { name: { status, critical, latencyMs, checkedAt, details?, error? } } }
+  async check() {
+    const entries = await Promise.all(
+      [...this.checks.values()].map(async (check) => [check.name, await this.runCheck(check)])
+    );
+    return {
+      ready: entries.every(([, result]) => result.status === CHECK_STATUS.OK || !result.critical),
+      checks: Object.fromEntries(entries)
+    };
+  }
+}
+
+// GET /health/live
+function livenessHandler({ serviceName }) {
+  return (req, res) => {
+    res.json({
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      service: serviceName,
+      uptime: Math.round(process.uptime())
+    });
+  };
+}
+
+// GET /health/ready；关闭开始后直接返回 503，不再检查依赖
+function readinessHandler({ serviceName, lifecycle, checker }) {
+  return async (req, res) => {
+    if (lifecycle && !lifecycle.isReady()) {
+      return res.status(503).json({
+        status: lifecycle.state,
+        timestamp: new Date().toISOString(),
+        service: serviceName
+      });
+    }
+
+    const { ready, checks } = await checker.check();
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      service: serviceName,
+      checks
+    });
+  };
+}
+
+module.exports = {
+  CHECK_STATUS,
+  DEFAULT_CHECK_TIMEOUT_MS,
+  HealthChecker,
+  livenessHandler,
+  readinessHandler
+};
@@ -0,0 +1,177 @@
+// 消息幂等处理：记录已处理的事件 ID，重复投递时直接确认并跳过
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ component: 'idempotency' });
+
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // 7 天
+
+// 存储基类：子类实现 isProcessed / markProcessed / purgeExpired
+class IdempotencyStore {
+  constructor(options = {}) {
+    this.retentionMs = options.retentionMs || DEFAULT_RETENTION_MS;
+    this.purgeInterval = options.purgeInterval || 60 * 60 * 1000;
+    this.purgeTimer = null;
+  }
+
+  async init() {
+    await this.purgeExpired();
+    this.purgeTimer = setInterval(() => {
+      this.purgeExpired().catch((error) => {
+        logger.error('Failed to purge idempotency store', error);
+      });
+    }, this.purgeInterval);
+    this.purgeTimer.unref();
+  }
+
+  async close() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+  }
+
+  isExpired(processedAt) {
+    return Date.now() - processedAt > this.retentionMs;
+  }
+}
+
+// 内存存储，用于测试和单实例开发环境
+class MemoryIdempotencyStore extends IdempotencyStore {
+  constructor(options = {}) {
+    super(options);
+    this.entries = new Map();
+  }
+
+  async isProcessed(key) {
+    const processedAt = this.entries.get(key);
+    return processedAt !== undefined && !this.isExpired(processedAt);
+  }
+
+  async markProcessed(key) {
+    this.entries.set(key, Date.now());
+  }
+
+  async purgeExpired() {
+    for (const [key, processedAt] of this.entries) {
+      if (this.isExpired(processedAt)) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+// 文件存储：整体保存为 JSON，写入时先写临时文件再重命名，避免写坏
+class FileIdempotencyStore extends MemoryIdempotencyStore {
+  constructor(options = {}) {
+    super(options);
+    this.filePath = options.filePath || path.join(process.cwd(), 'data', 'processed-events.json');
+    this.writing = Promise.resolve();
+  }
+
+  async init() {
+    try {
+      const content = await fs.promises.readFile(this.filePath, 'utf8');
+      this.entries = new Map(Object.entries(JSON.parse(content)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    await super.init();
+  }
+
+  async markProcessed(key) {
+    await super.markProcessed(key);
+    await this.persist();
+  }
+
+  async purgeExpired() {
+    const sizeBefore = this.entries.size;
+    await super.purgeExpired();
+    if (this.entries.size !== sizeBefore) {
+      await this.persist();
+    }
+  }
+
+  // 串行化写入，保证文件内容与最后一次修改一致
+  persist() {
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      const tmpPath = `${this.filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tmpPath, JSON.stringify(Object.fromEntries(this.entries)));
+      await fs.promises.rename(tmpPath, this.filePath);
+    });
+    return this.writing;
+  }
+}
+
+// PostgreSQL 存储，多个实例共享去重记录；pool 由调用方传入
+class PostgresIdempotencyStore extends IdempotencyStore {
+  constructor(options = {}) {
+    super(options);
+    if (!options.pool) {
+      throw new Error('PostgresIdempotencyStore requires a pg pool');
+    }
+    this.pool = options.pool;
+    this.tableName = options.tableName || 'processed_events';
+  }
+
+  async init() {
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS ${this.tableName} (
+        key VARCHAR(255) PRIMARY KEY,
+        processed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await super.init();
+  }
+
+  async isProcessed(key) {
+    const result = await this.pool.query(
+      `SELECT 1 FROM ${this.tableName}
+       WHERE key = $1 AND processed_at > CURRENT_TIMESTAMP - ($2 || ' milliseconds')::interval`,
+      [key, this.retentionMs]
+    );
+    return result.rows.length > 0;
+  }
+
+  async markProcessed(key) {
+    await this.pool.query(
+      `INSERT INTO ${this.tableName} (key) VALUES ($1)
+       ON CONFLICT (key) DO UPDATE SET processed_at = CURRENT_TIMESTAMP`,
+      [key]
+    );
+  }
+
+  async purgeExpired() {
+    await this.pool.query(
+      `DELETE FROM ${this.tableName}
+       WHERE processed_at <= CURRENT_TIMESTAMP - ($1 || ' milliseconds')::interval`,
+      [this.retentionMs]
+    );
+  }
+}
+
+// 按类型创建存储：memory | file | postgres
+function createIdempotencyStore(type, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryIdempotencyStore(options);
+    case 'file':
+      return new FileIdempotencyStore(options);
+    case 'postgres':
+      return new PostgresIdempotencyStore(options);
+    default:
+      throw new Error(`Unknown idempotency store type: ${type}`);
+  }
+}
+
+module.exports = {
+  IdempotencyStore,
+  MemoryIdempotencyStore,
+  FileIdempotencyStore,
+  PostgresIdempotencyStore,
+  createIdempotencyStore
+};
@@ -0,0 +1,220 @@
+// 服务生命周期：收到 SIGTERM / SIGINT 后按顺序优雅关闭
+//
+//   1. 就绪状态变为 stopping（/health 返回 503），等待 readinessDelay 让负载均衡摘除实例
+//   2. 停止接收新工作：HTTP 服务器不再接受新连接，执行 onStop 步骤（取消 AMQP 消费者、停止后台任务）
+//   3. 等待进行中的 HTTP 请求和 onDrain 步骤（正在处理的消息）完成，2、3 两步最多等待 shutdownTimeout
+//   4. 按注册顺序执行 onClose 步骤：关闭通道、连接池、SMTP 传输器等
+//
+// 每个步骤失败只记录日志，不影响后续步骤；有步骤失败或等待超时时以退出码 1 退出
+const { EventEmitter } = require('events');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ component: 'lifecycle' });
+
+const LIFECYCLE_STATES = {
+  STARTING: 'starting',
+  READY: 'ready',
+  STOPPING: 'stopping',
+  STOPPED: 'stopped'
+};
+
+// 小于 Docker 默认的 10 秒停止等待时间，超时后仍有时间关闭资源
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 8000;
+
+// 关闭资源阶段的额外时间，超过后强制退出
+const FORCE_EXIT_GRACE_MS = 5000;
+
+function envInt(name) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? undefined : value;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// promise 在 ms 毫秒内完成时返回 true，超时返回 false
+function waitWithTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), ms);
+  });
+  return Promise.race([promise.then(() => true), timeout]).finally(() => clearTimeout(timer));
+}
+
+class Lifecycle extends EventEmitter {
+  constructor({
+    serviceName,
+    shutdownTimeout = envInt('SHUTDOWN_TIMEOUT_MS'),
+    readinessDelay = envInt('SHUTDOWN_READINESS_DELAY_MS')
+  } = {}) {
+    super();
+    this.serviceName = serviceName;
+    this.shutdownTimeout = shutdownTimeout !== undefined ? shutdownTimeout : DEFAULT_SHUTDOWN_TIMEOUT_MS;
+    this.readinessDelay = readinessDelay || 0;
+    this.state = LIFECYCLE_STATES.STARTING;
+    this.servers = [];
+    this.activeRequests = 0;
+    this.steps = { stop: [], drain: [], close: [] };
+    this.shuttingDown = null;
+  }
+
+  setState(state) {
+    const previous = this.state;
+    this.state = state;
+    this.emit('stateChange', { state, previous });
+  }
+
+  // 启动完成（HTTP 服务器开始监听）后调用
+  markReady() {
+    if (this.state === LIFECYCLE_STATES.STARTING) {
+      this.setState(LIFECYCLE_STATES.READY);
+    }
+  }
+
+  isReady() {
+    return this.state === LIFECYCLE_STATES.READY;
+  }
+
+  // 记录 HTTP 服务器上进行中的请求；关闭期间的响应带上 Connection: close，keep-alive 连接随之断开
+  addServer(server) {
+    this.servers.push(server);
+    server.on('request', (req, res) => {
+      this.activeRequests++;
+      if (this.shuttingDown) {
+        res.setHeader('Connection', 'close');
+      }
+      res.once('close', () => {
+        this.activeRequests--;
+        if (this.activeRequests === 0) {
+          this.emit('requestsDrained');
+        }
+      });
+    });
+    return server;
+  }
+
+  // 停止接收新工作，例如取消消费者、停止轮询
+  onStop(name, fn) {
+    this.steps.stop.push({ name, fn });
+    return this;
+  }
+
+  // 等待进行中的工作完成，例如正在处理的消息
+  onDrain(name, fn) {
+    this.steps.drain.push({ name, fn });
+    return this;
+  }
+
+  // 关闭资源，按注册顺序执行
+  onClose(name, fn) {
+    this.steps.close.push({ name, fn });
+    return this;
+  }
+
+  waitForRequests() {
+    if (this.activeRequests === 0) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => this.once('requestsDrained', resolve));
+  }
+
+  async runStep(phase, { name, fn }) {
+    try {
+      await fn();
+      logger.debug('Shutdown step finished', { phase, step: name });
+      return true;
+    } catch (error) {
+      logger.error('Shutdown step failed', { phase, step: name, error });
+      return false;
+    }
+  }
+
+  async runSteps(phase) {
+    let ok = true;
+    for (const step of this.steps[phase]) {
+      ok = await this.runStep(phase, step) && ok;
+    }
+    return ok;
+  }
+
+  // 重复调用返回同一个 Promise；resolve 为建议的退出码
+  shutdown(reason) {
+    if (!this.shuttingDown) {
+      this.shuttingDown = this.runShutdown(reason);
+    }
+    return this.shuttingDown;
+  }
+
+  async runShutdown(reason) {
+    const start = Date.now();
+    this.setState(LIFECYCLE_STATES.STOPPING);
+    logger.info('Shutting down', {
+      reason,
+      activeRequests: this.activeRequests,
+      shutdownTimeoutMs: this.shutdownTimeout
+    });
+
+    if (this.readinessDelay > 0) {
+      await sleep(this.readinessDelay);
+    }
+
+    let ok = true;
+    for (const server of this.servers) {
+      server.close();
+      server.closeIdleConnections();
+    }
+
+    const drained = await waitWithTimeout((async () => {
+      ok = await this.runSteps('stop') && ok;
+      const results = await Promise.all([
+        this.waitForRequests().then(() => true),
+        ...this.steps.drain.map((step) => this.runStep('drain', step))
+      ]);
+      ok = results.every(Boolean) && ok;
+    })(), this.shutdownTimeout);
+
+    if (!drained) {
+      ok = false;
+      logger.warn('Shutdown timeout reached, abandoning in-flight work', {
+        activeRequests: this.activeRequests,
+        shutdownTimeoutMs: this.shutdownTimeout
+      });
+    }
+    for (const server of this.servers) {
+      server.closeAllConnections();
+    }
+
+    ok = await this.runSteps('close') && ok;
+
+    this.setState(LIFECYCLE_STATES.STOPPED);
+    logger.info('Shutdown complete', { durationMs: Date.now() - start, clean: ok });
+    return ok ? 0 : 1;
+  }
+
+  // 注册信号处理：第一次收到信号时优雅关闭后退出，关闭期间再次收到信号立即退出
+  listen(signals = ['SIGTERM', 'SIGINT']) {
+    for (const signal of signals) {
+      process.on(signal, () => {
+        if (this.shuttingDown) {
+          logger.warn('Received another signal during shutdown, exiting immediately', { signal });
+          process.exit(1);
+        }
+
+        setTimeout(() => {
+          logger.error('Shutdown did not finish in time, forcing exit');
+          process.exit(1);
+        }, this.readinessDelay + this.shutdownTimeout + FORCE_EXIT_GRACE_MS).unref();
+
+        this.shutdown(signal).then((code) => process.exit(code));
+      });
+    }
+    return this;
+  }
+}
+
+module.exports = {
+  LIFECYCLE_STATES,
+  DEFAULT_SHUTDOWN_TIMEOUT_MS,
+  Lifecycle
+};
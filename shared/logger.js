@@ -0,0 +1,226 @@
+// 结构化日志：每条日志一行 JSON，写到标准输出
+//
+//   {"timestamp":"...","level":"info","service":"user-service","message":"User registered",
+//    "correlationId":"...","traceId":"...","userId":42}
+//
+// - LOG_LEVEL 控制输出级别（error | warn | info | debug，默认 info）
+// - correlationId / traceId / spanId 取自当前请求或消息的追踪上下文
+// - 字段名匹配 LOG_REDACT_FIELDS（逗号分隔，追加到默认列表）的值替换为 [REDACTED]，
+//   消息和字符串字段中的邮箱地址同样会被替换
+const { getTraceContext } = require('./context');
+
+const LOG_LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+};
+
+// 字段名忽略大小写和 _ / -，以列表中的名称结尾即脱敏（如 userEmail、accessToken）
+const DEFAULT_REDACT_FIELDS = [
+  'email',
+  'recipient',
+  'password',
+  'passwordHash',
+  'token',
+  'tokenHash',
+  'secret',
+  'authorization',
+  'cookie'
+];
+
+const REDACTED = '[REDACTED]';
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+
+// 嵌套对象只展开到这个深度，避免日志过大或循环引用
+const MAX_DEPTH = 5;
+
+const config = {
+  serviceName: 'unknown-service',
+  level: LOG_LEVELS.info,
+  redactFields: DEFAULT_REDACT_FIELDS.map(normalizeFieldName)
+};
+
+function normalizeFieldName(name) {
+  return String(name).toLowerCase().replace(/[_-]/g, '');
+}
+
+function parseLevel(value) {
+  const level = String(value || 'info').toLowerCase();
+  return Object.prototype.hasOwnProperty.call(LOG_LEVELS, level) ? level : null;
+}
+
+function shouldRedact(key) {
+  const normalized = normalizeFieldName(key);
+  return config.redactFields.some((field) => normalized.endsWith(field));
+}
+
+function redactString(value) {
+  return value.replace(EMAIL_PATTERN, REDACTED);
+}
+
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: redactString(error.message || String(error))
+  };
+  if (error.code !== undefined) {
+    serialized.code = error.code;
+  }
+  if (error.stack) {
+    serialized.stack = redactString(error.stack);
+  }
+  return serialized;
+}
+
+// 返回脱敏后的副本，不修改原对象
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return `<Buffer ${value.length} bytes>`;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    shouldRedact(key) && item !== null && item !== undefined && typeof item !== 'boolean'
+      ? REDACTED
+      : redact(item, depth + 1)
+  ]));
+}
+
+class Logger {
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  // 派生带固定字段的日志器，例如 logger.child({ component: 'outbox' })
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] <= config.level;
+  }
+
+  // fields 为附加字段；直接传入 Error 时等同于 { error }
+  log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+    if (fields instanceof Error) {
+      fields = { error: fields };
+    }
+
+    const context = getTraceContext();
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      service: config.serviceName,
+      message: redactString(String(message)),
+      ...(context && context.requestId ? { correlationId: context.requestId } : {}),
+      ...(context && context.traceId ? { traceId: context.traceId, spanId: context.spanId } : {}),
+      ...redact({ ...this.bindings, ...fields })
+    };
+
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+}
+
+const logger = new Logger();
+
+function createLogger(bindings = {}) {
+  return logger.child(bindings);
+}
+
+// 每个服务启动时调用一次
+function initLogger({
+  serviceName,
+  level = process.env.LOG_LEVEL,
+  redactFields = process.env.LOG_REDACT_FIELDS
+} = {}) {
+  config.serviceName = serviceName || config.serviceName;
+
+  const parsedLevel = parseLevel(level);
+  config.level = LOG_LEVELS[parsedLevel || 'info'];
+  if (!parsedLevel) {
+    logger.warn(`Unknown log level "${level}", using info`);
+  }
+
+  const extraFields = Array.isArray(redactFields)
+    ? redactFields
+    : String(redactFields || '').split(',').map((field) => field.trim()).filter(Boolean);
+  config.redactFields = [...new Set(DEFAULT_REDACT_FIELDS.concat(extraFields).map(normalizeFieldName))];
+
+  return logger;
+}
+
+// HTTP 访问日志：请求结束时记录方法、路由、状态码和耗时，5xx 为 error，4xx 为 warn
+// options.routeLabel(req) 与 metricsMiddleware 相同，用于没有匹配到 Express 路由的请求（网关转发）
+function requestLogger({ routeLabel = () => null } = {}) {
+  const httpLogger = createLogger({ component: 'http' });
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    res.once('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      // 查询参数中可能有令牌，只记录路径
+      const path = req.originalUrl.split('?')[0];
+      httpLogger.log(level, `${req.method} ${path} ${res.statusCode}`, {
+        method: req.method,
+        path,
+        route: routeLabel(req) || (req.route ? `${req.baseUrl}${req.route.path}` : undefined),
+        statusCode: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        ...(req.user ? { userId: req.user.id } : {})
+      });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  LOG_LEVELS,
+  DEFAULT_REDACT_FIELDS,
+  Logger,
+  logger,
+  createLogger,
+  initLogger,
+  redact,
+  requestLogger
+};
@@ -0,0 +1,361 @@
+// Prometheus 指标：计数器、仪表盘、直方图，以文本格式在 /metrics 中输出
+//
+// 三个服务使用相同的指标名称和标签，每个指标都带有 service 标签（initMetrics 中设置），例如：
+//   http_requests_total{service="user-service",method="GET",route="/api/users/:id",status_code="200"}
+// 需要在抓取时读取的值（队列深度、连接池状态等）通过 collect 回调更新
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ component: 'metrics' });
+
+const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// 默认直方图分桶（秒）
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+class Metric {
+  constructor(type, { name, help, labelNames = [], collect = null }) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.collect = collect;
+    // 标签值组合 -> { labels, value }
+    this.series = new Map();
+  }
+
+  // 标签必须事先声明，缺少的标签取空字符串，保证同一指标的标签集合一致
+  normalizeLabels(labels = {}) {
+    for (const name of Object.keys(labels)) {
+      if (!this.labelNames.includes(name)) {
+        throw new Error(`Unknown label "${name}" for metric ${this.name}`);
+      }
+    }
+    return Object.fromEntries(this.labelNames.map((name) => [
+      name,
+      labels[name] === undefined || labels[name] === null ? '' : String(labels[name])
+    ]));
+  }
+
+  getSeries(labels) {
+    const normalized = this.normalizeLabels(labels);
+    const key = JSON.stringify(this.labelNames.map((name) => normalized[name]));
+    let series = this.series.get(key);
+    if (!series) {
+      series = this.createSeries(normalized);
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  createSeries(labels) {
+    return { labels, value: 0 };
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  format(defaultLabels) {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels({ ...defaultLabels, ...labels })} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot be decreased`);
+    }
+    this.getSeries(labels).value += value;
+  }
+
+  // 只用于 collect 回调中同步外部的累计值（如进程 CPU 时间）
+  set(labels, value) {
+    this.getSeries(labels).value = value;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  set(labels, value) {
+    this.getSeries(labels).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.getSeries(labels).value -= value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+  }
+
+  createSeries(labels) {
+    return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // 返回结束计时的函数，结束时可以补充标签（例如处理结果）
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  format(defaultLabels) {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const series of this.series.values()) {
+      const labels = { ...defaultLabels, ...series.labels };
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metricsByName = new Map();
+    this.defaultLabels = {};
+  }
+
+  setDefaultLabels(labels) {
+    this.defaultLabels = { ...labels };
+  }
+
+  // 同名指标只创建一次，模块被多处引用时返回同一个实例
+  register(MetricClass, options) {
+    const existing = this.metricsByName.get(options.name);
+    if (existing) {
+      if (!(existing instanceof MetricClass)) {
+        throw new Error(`Metric ${options.name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+    const metric = new MetricClass(options);
+    this.metricsByName.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(Counter, options);
+  }
+
+  gauge(options) {
+    return this.register(Gauge, options);
+  }
+
+  histogram(options) {
+    return this.register(Histogram, options);
+  }
+
+  getMetric(name) {
+    return this.metricsByName.get(name) || null;
+  }
+
+  // 先执行各指标的 collect 回调，单个回调失败只跳过该指标
+  async metrics() {
+    const lines = [];
+    for (const metric of this.metricsByName.values()) {
+      if (metric.collect) {
+        try {
+          await metric.collect(metric);
+        } catch (error) {
+          logger.warn('Failed to collect metric', { metric: metric.name, error });
+          continue;
+        }
+      }
+      lines.push(...metric.format(this.defaultLabels));
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+const registry = new Registry();
+
+const httpRequestsTotal = registry.counter({
+  name: 'http_requests_total',
+  help: 'Total number of HTTP requests',
+  labelNames: ['method', 'route', 'status_code']
+});
+
+const httpRequestDuration = registry.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration in seconds',
+  labelNames: ['method', 'route', 'status_code']
+});
+
+// 连接池状态在抓取时读取
+const pools = new Map();
+
+registry.gauge({
+  name: 'db_pool_connections',
+  help: 'Number of Postgres pool connections by state (total, idle, waiting clients)',
+  labelNames: ['pool', 'state'],
+  collect: (gauge) => {
+    gauge.reset();
+    for (const [name, pool] of pools) {
+      gauge.set({ pool: name, state: 'total' }, pool.totalCount);
+      gauge.set({ pool: name, state: 'idle' }, pool.idleCount);
+      gauge.set({ pool: name, state: 'waiting' }, pool.waitingCount);
+    }
+  }
+});
+
+registry.gauge({
+  name: 'db_pool_max_connections',
+  help: 'Maximum number of connections in the Postgres pool',
+  labelNames: ['pool'],
+  collect: (gauge) => {
+    gauge.reset();
+    for (const [name, pool] of pools) {
+      // pg 的默认上限为 10
+      gauge.set({ pool: name }, (pool.options && pool.options.max) || 10);
+    }
+  }
+});
+
+function registerPoolMetrics(name, pool) {
+  pools.set(name, pool);
+  return pool;
+}
+
+// 进程指标，替代 /health 中的内存信息用于监控
+function registerProcessMetrics() {
+  registry.counter({
+    name: 'process_cpu_seconds_total',
+    help: 'Total user and system CPU time spent in seconds',
+    collect: (counter) => {
+      const { user, system } = process.cpuUsage();
+      counter.set({}, (user + system) / 1e6);
+    }
+  });
+  registry.gauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size in bytes',
+    collect: (gauge) => gauge.set({}, process.memoryUsage().rss)
+  });
+  registry.gauge({
+    name: 'nodejs_heap_used_bytes',
+    help: 'Node.js heap used in bytes',
+    collect: (gauge) => gauge.set({}, process.memoryUsage().heapUsed)
+  });
+  registry.gauge({
+    name: 'process_start_time_seconds',
+    help: 'Start time of the process since unix epoch in seconds',
+    collect: (gauge) => gauge.set({}, Math.round(Date.now() / 1000 - process.uptime()))
+  });
+}
+
+// 每个服务启动时调用一次
+function initMetrics({ serviceName }) {
+  registry.setDefaultLabels({ service: serviceName });
+  registerProcessMetrics();
+  return registry;
+}
+
+// 路由标签使用路由模式（/api/users/:id），未匹配路由的请求统一为 unmatched，避免标签数量无限增长
+function defaultRouteLabel(req) {
+  if (req.route) {
+    return `${req.baseUrl}${req.route.path}`;
+  }
+  return 'unmatched';
+}
+
+// HTTP 中间件：按方法、路由和状态码记录请求数和耗时
+// options.routeLabel(req) 可以自定义路由标签（网关按服务前缀统计转发的请求），返回空值时使用默认规则
+function metricsMiddleware({ routeLabel = () => null } = {}) {
+  return (req, res, next) => {
+    const end = httpRequestDuration.startTimer({ method: req.method });
+    res.once('finish', () => {
+      const route = routeLabel(req) || defaultRouteLabel(req);
+      const labels = { method: req.method, route, status_code: res.statusCode };
+      httpRequestsTotal.inc(labels);
+      end({ route: labels.route, status_code: labels.status_code });
+    });
+    next();
+  };
+}
+
+// GET /metrics
+function metricsHandler() {
+  return async (req, res) => {
+    try {
+      const body = await registry.metrics();
+      res.set('Content-Type', METRICS_CONTENT_TYPE);
+      res.send(body);
+    } catch (error) {
+      logger.error('Failed to collect metrics', error);
+      res.status(500).json({ error: 'Failed to collect metrics' });
+    }
+  };
+}
+
+module.exports = {
+  METRICS_CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  registry,
+  initMetrics,
+  registerPoolMetrics,
+  metricsMiddleware,
+  metricsHandler
+};
@@ -0,0 +1,365 @@
+// 分布式追踪：W3C traceparent / X-Request-ID 在 HTTP 和 AMQP 之间传递
+//
+// 当前请求或消息的追踪上下文保存在 AsyncLocalStorage 中（见 context.js）：
+//   { traceId, spanId, traceFlags, requestId }
+// requestId 即业务上的 correlationId，由网关生成或沿用客户端传入的 X-Request-ID。
+// 设置 OTEL_EXPORTER_OTLP_ENDPOINT 后，span 以 OTLP/HTTP JSON 格式批量发送到 collector。
+const crypto = require('crypto');
+const { getTraceContext, getRequestId, runWithTraceContext } = require('./context');
+const { createLogger } = require('./logger');
+
+const logger = createLogger({ component: 'tracing' });
+
+const TRACE_HEADERS = {
+  TRACEPARENT: 'traceparent',
+  TRACESTATE: 'tracestate',
+  REQUEST_ID: 'x-request-id'
+};
+
+// OTLP 中的 span 类型
+const SPAN_KINDS = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+  PRODUCER: 4,
+  CONSUMER: 5
+};
+
+const SPAN_STATUS = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+// version-traceId-spanId-flags，全 0 的 ID 无效
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+// 客户端传入的 X-Request-ID 只接受这些字符，避免日志注入
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+const tracer = {
+  serviceName: 'unknown-service',
+  exporter: null
+};
+
+function generateTraceId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function generateSpanId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function generateRequestId() {
+  return crypto.randomUUID();
+}
+
+function parseTraceparent(header) {
+  const match = typeof header === 'string' ? TRACEPARENT_PATTERN.exec(header.trim().toLowerCase()) : null;
+  if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+    return null;
+  }
+  return { traceId: match[2], spanId: match[3], traceFlags: match[4] };
+}
+
+function formatTraceparent(context) {
+  return `00-${context.traceId}-${context.spanId}-${context.traceFlags}`;
+}
+
+function isValidRequestId(value) {
+  return typeof value === 'string' && REQUEST_ID_PATTERN.test(value);
+}
+
+function isSampled(context) {
+  return (parseInt(context.traceFlags, 16) & 1) === 1;
+}
+
+// 从 HTTP 请求头或 AMQP 消息头中读取上游的追踪上下文；没有或无效时返回 null
+function extractTraceContext(headers = {}) {
+  const parent = parseTraceparent(headers[TRACE_HEADERS.TRACEPARENT]);
+  const requestId = headers[TRACE_HEADERS.REQUEST_ID];
+  if (!parent && !isValidRequestId(requestId)) {
+    return null;
+  }
+  return {
+    ...(parent || {}),
+    requestId: isValidRequestId(requestId) ? requestId : null
+  };
+}
+
+// 生成向下游传递的请求头
+function injectTraceHeaders(context = getTraceContext()) {
+  if (!context) {
+    return {};
+  }
+  const headers = {};
+  if (context.traceId && context.spanId) {
+    headers[TRACE_HEADERS.TRACEPARENT] = formatTraceparent(context);
+  }
+  if (context.requestId) {
+    headers[TRACE_HEADERS.REQUEST_ID] = context.requestId;
+  }
+  return headers;
+}
+
+function toAttributeValue(value) {
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (Number.isInteger(value)) {
+    return { intValue: String(value) };
+  }
+  if (typeof value === 'number') {
+    return { doubleValue: value };
+  }
+  return { stringValue: String(value) };
+}
+
+function toNanoseconds(milliseconds) {
+  return (BigInt(Math.round(milliseconds * 1000)) * 1000n).toString();
+}
+
+// 一个 span 对应一段处理：HTTP 请求、代理转发、消息发布或消费
+class Span {
+  constructor(name, { kind = SPAN_KINDS.INTERNAL, parent = getTraceContext(), attributes = {} } = {}) {
+    this.name = name;
+    this.kind = kind;
+    this.parentSpanId = parent && parent.spanId ? parent.spanId : null;
+    this.context = {
+      traceId: parent && parent.traceId ? parent.traceId : generateTraceId(),
+      spanId: generateSpanId(),
+      traceFlags: parent && parent.traceFlags ? parent.traceFlags : '01',
+      requestId: (parent && parent.requestId) || null
+    };
+    this.attributes = { ...attributes };
+    this.status = { code: SPAN_STATUS.UNSET };
+    this.startTime = performanceNow();
+    this.ended = false;
+  }
+
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  setError(error) {
+    this.status = { code: SPAN_STATUS.ERROR, message: error.message || String(error) };
+    return this;
+  }
+
+  end() {
+    if (this.ended) {
+      return;
+    }
+    this.ended = true;
+    this.endTime = performanceNow();
+    if (tracer.exporter && isSampled(this.context)) {
+      tracer.exporter.export(this);
+    }
+  }
+
+  toOtlp() {
+    const attributes = { ...this.attributes };
+    if (this.context.requestId) {
+      attributes['request.id'] = this.context.requestId;
+    }
+    return {
+      traceId: this.context.traceId,
+      spanId: this.context.spanId,
+      ...(this.parentSpanId ? { parentSpanId: this.parentSpanId } : {}),
+      name: this.name,
+      kind: this.kind,
+      startTimeUnixNano: toNanoseconds(this.startTime),
+      endTimeUnixNano: toNanoseconds(this.endTime),
+      attributes: Object.entries(attributes).map(([key, value]) => ({ key, value: toAttributeValue(value) })),
+      status: this.status
+    };
+  }
+}
+
+// 毫秒精度的绝对时间，带小数部分
+function performanceNow() {
+  return performance.timeOrigin + performance.now();
+}
+
+function startSpan(name, options) {
+  return new Span(name, options);
+}
+
+// 在新的 span 中执行 fn，fn 中的异步调用都能通过 getTraceContext() 取得该 span 的上下文
+async function withSpan(name, options, fn) {
+  const span = startSpan(name, options);
+  try {
+    return await runWithTraceContext(span.context, () => fn(span));
+  } catch (error) {
+    span.setError(error);
+    throw error;
+  } finally {
+    span.end();
+  }
+}
+
+// 批量发送 span 到 OTLP/HTTP collector（POST <endpoint>/v1/traces，JSON 编码）
+class OtlpHttpExporter {
+  constructor(options = {}) {
+    this.url = `${options.endpoint.replace(/\/$/, '')}/v1/traces`;
+    this.headers = options.headers || {};
+    this.batchSize = options.batchSize || 100;
+    this.maxQueueSize = options.maxQueueSize || 2048;
+    this.flushInterval = options.flushInterval || 5000;
+    this.timeout = options.timeout || 10000;
+    this.queue = [];
+    this.dropped = 0;
+    this.flushing = null;
+    this.timer = setInterval(() => this.flush(), this.flushInterval);
+    this.timer.unref();
+  }
+
+  export(span) {
+    // collector 不可用时丢弃最新的 span，而不是占满内存
+    if (this.queue.length >= this.maxQueueSize) {
+      this.dropped++;
+      return;
+    }
+    this.queue.push(span);
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    }
+  }
+
+  flush() {
+    if (this.flushing || this.queue.length === 0) {
+      return this.flushing || Promise.resolve();
+    }
+
+    const batch = this.queue.splice(0, this.batchSize);
+    this.flushing = this.send(batch)
+      .catch((error) => {
+        logger.warn('Failed to export spans', { url: this.url, spans: batch.length, error });
+      })
+      .finally(() => {
+        this.flushing = null;
+      });
+    return this.flushing;
+  }
+
+  async send(spans) {
+    const body = {
+      resourceSpans: [{
+        resource: {
+          attributes: [{ key: 'service.name', value: { stringValue: tracer.serviceName } }]
+        },
+        scopeSpans: [{
+          scope: { name: 'msa-demo-tracing' },
+          spans: spans.map((span) => span.toOtlp())
+        }]
+      }]
+    };
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    if (!response.ok) {
+      throw new Error(`collector responded with ${response.status}`);
+    }
+  }
+
+  // 退出前发送剩余的 span
+  async shutdown() {
+    clearInterval(this.timer);
+    while (this.queue.length > 0 || this.flushing) {
+      await this.flush();
+    }
+    if (this.dropped > 0) {
+      logger.warn('Dropped spans because the export queue was full', { dropped: this.dropped });
+    }
+  }
+}
+
+// OTEL_EXPORTER_OTLP_HEADERS 格式：key1=value1,key2=value2
+function parseHeaderList(value) {
+  if (!value) {
+    return {};
+  }
+  return Object.fromEntries(value.split(',')
+    .map((pair) => pair.split('=').map((part) => part.trim()))
+    .filter(([key, headerValue]) => key && headerValue));
+}
+
+// 每个服务启动时调用一次
+function initTracing({ serviceName, endpoint = process.env.OTEL_EXPORTER_OTLP_ENDPOINT } = {}) {
+  tracer.serviceName = process.env.OTEL_SERVICE_NAME || serviceName;
+  if (endpoint) {
+    tracer.exporter = new OtlpHttpExporter({
+      endpoint,
+      headers: parseHeaderList(process.env.OTEL_EXPORTER_OTLP_HEADERS)
+    });
+    logger.info('Exporting traces', { url: tracer.exporter.url });
+  }
+  return tracer;
+}
+
+async function shutdownTracing() {
+  if (tracer.exporter) {
+    await tracer.exporter.shutdown();
+  }
+}
+
+// HTTP 中间件：沿用上游的 traceparent / X-Request-ID，没有时新建；
+// 在服务端 span 的上下文中处理请求，并在响应头中返回 X-Request-ID
+function tracingMiddleware() {
+  return (req, res, next) => {
+    const parent = extractTraceContext(req.headers) || {};
+    const span = startSpan(`${req.method} ${req.path}`, {
+      kind: SPAN_KINDS.SERVER,
+      parent: { ...parent, requestId: parent.requestId || generateRequestId() },
+      attributes: {
+        'http.method': req.method,
+        // 不记录查询字符串，其中可能有验证令牌等敏感信息（例如 /api/users/verify?token=）
+        'http.target': req.originalUrl.split('?')[0]
+      }
+    });
+
+    req.traceContext = span.context;
+    req.requestId = span.context.requestId;
+    res.set('X-Request-ID', span.context.requestId);
+
+    res.once('close', () => {
+      // 匹配到路由时使用路由模式命名，避免 /api/users/1、/api/users/2 成为不同的 span 名称
+      if (req.route) {
+        span.name = `${req.method} ${req.baseUrl}${req.route.path}`;
+      }
+      span.setAttribute('http.status_code', res.statusCode);
+      if (res.statusCode >= 500) {
+        span.setError(new Error(`HTTP ${res.statusCode}`));
+      }
+      span.end();
+    });
+
+    runWithTraceContext(span.context, next);
+  };
+}
+
+module.exports = {
+  TRACE_HEADERS,
+  SPAN_KINDS,
+  parseTraceparent,
+  formatTraceparent,
+  isValidRequestId,
+  generateRequestId,
+  getTraceContext,
+  getRequestId,
+  runWithTraceContext,
+  extractTraceContext,
+  injectTraceHeaders,
+  startSpan,
+  withSpan,
+  initTracing,
+  shutdownTracing,
+  tracingMiddleware
+};
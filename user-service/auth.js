@@ -0,0 +1,169 @@
+// 登录令牌：短期的 JWT 访问令牌 + 可轮换、可撤销的刷新令牌
+// 刷新令牌只保存 SHA-256 哈希，明文只在签发时返回给客户端一次
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TOKEN_ERRORS = {
+  INVALID_REFRESH_TOKEN: 'INVALID_REFRESH_TOKEN',
+  REFRESH_TOKEN_REUSED: 'REFRESH_TOKEN_REUSED'
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function tokenError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class TokenService {
+  constructor(pool, options = {}) {
+    if (!options.secret) {
+      throw new Error('JWT secret is required');
+    }
+    this.pool = pool;
+    this.secret = options.secret;
+    this.issuer = options.issuer || 'msa-user-service';
+    this.audience = options.audience || 'msa-api';
+    this.accessTokenTtl = options.accessTokenTtl || 15 * 60; // 秒
+    this.refreshTokenTtl = options.refreshTokenTtl || 7 * 24 * 60 * 60; // 秒
+  }
+
+  signAccessToken(user) {
+    return jwt.sign(
+      { username: user.username },
+      this.secret,
+      {
+        subject: String(user.id),
+        issuer: this.issuer,
+        audience: this.audience,
+        expiresIn: this.accessTokenTtl,
+        algorithm: 'HS256'
+      }
+    );
+  }
+
+  // 校验访问令牌，返回 { id, username }；令牌无效或过期时抛出 jsonwebtoken 的错误
+  verifyAccessToken(token) {
+    const claims = jwt.verify(token, this.secret, {
+      algorithms: ['HS256'],
+      issuer: this.issuer,
+      audience: this.audience
+    });
+    return { id: claims.sub, username: claims.username };
+  }
+
+  // 签发一对令牌；client 可传入事务连接
+  async issueTokens(user, client = this.pool) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const result = await client.query(
+      `INSERT INTO refresh_tokens (user_id, token_hash, expires_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP + ($3 || ' seconds')::interval) RETURNING id`,
+      [user.id, hashToken(refreshToken), this.refreshTokenTtl]
+    );
+
+    return {
+      tokens: {
+        tokenType: 'Bearer',
+        accessToken: this.signAccessToken(user),
+        expiresIn: this.accessTokenTtl,
+        refreshToken,
+        refreshExpiresIn: this.refreshTokenTtl
+      },
+      refreshTokenId: result.rows[0].id
+    };
+  }
+
+  // 刷新令牌轮换：旧令牌立即撤销并记录替代者；已删除用户的令牌视为无效
+  // 已撤销的令牌再次被使用说明可能泄露，撤销该用户的全部刷新令牌
+  async refresh(refreshToken) {
+    if (!refreshToken) {
+      throw tokenError(TOKEN_ERRORS.INVALID_REFRESH_TOKEN, 'Refresh token is required');
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT rt.id, rt.user_id, rt.revoked_at, rt.expires_at < CURRENT_TIMESTAMP AS expired,
+                u.username
+         FROM refresh_tokens rt JOIN users u ON u.id = rt.user_id
+         WHERE rt.token_hash = $1 AND u.deleted_at IS NULL
+         FOR UPDATE OF rt`,
+        [hashToken(refreshToken)]
+      );
+
+      const stored = result.rows[0];
+      if (!stored) {
+        throw tokenError(TOKEN_ERRORS.INVALID_REFRESH_TOKEN, 'Invalid refresh token');
+      }
+
+      if (stored.revoked_at) {
+        await client.query(
+          'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+          [stored.user_id]
+        );
+        await client.query('COMMIT');
+        throw tokenError(TOKEN_ERRORS.REFRESH_TOKEN_REUSED, 'Refresh token has already been used');
+      }
+
+      if (stored.expired) {
+        throw tokenError(TOKEN_ERRORS.INVALID_REFRESH_TOKEN, 'Refresh token has expired');
+      }
+
+      const user = { id: stored.user_id, username: stored.username };
+      const { tokens, refreshTokenId } = await this.issueTokens(user, client);
+
+      await client.query(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $1 WHERE id = $2',
+        [refreshTokenId, stored.id]
+      );
+
+      await client.query('COMMIT');
+      return { user, tokens };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // 撤销用户的全部刷新令牌（例如修改密码后），client 可传入事务连接
+  async revokeAllForUser(userId, client = this.pool) {
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+      [userId]
+    );
+  }
+
+  // 撤销单个刷新令牌，allSessions 为 true 时撤销该用户的全部刷新令牌
+  async revoke(refreshToken, { allSessions = false } = {}) {
+    const result = await this.pool.query(
+      'SELECT user_id FROM refresh_tokens WHERE token_hash = $1',
+      [hashToken(refreshToken)]
+    );
+    const stored = result.rows[0];
+    if (!stored) {
+      return false;
+    }
+
+    if (allSessions) {
+      await this.revokeAllForUser(stored.user_id);
+    } else {
+      await this.pool.query(
+        'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = $1 AND revoked_at IS NULL',
+        [hashToken(refreshToken)]
+      );
+    }
+    return true;
+  }
+}
+
+module.exports = {
+  TOKEN_ERRORS,
+  TokenService
+};
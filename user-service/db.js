@@ -0,0 +1,16 @@
+// 数据库连接池配置，由服务和迁移命令行工具共用
+const { Pool } = require('pg');
+
+function createPool() {
+  return new Pool({
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'user',
+    password: process.env.DB_PASSWORD || 'password',
+    database: process.env.DB_NAME || 'userdb',
+    port: parseInt(process.env.DB_PORT, 10) || 5432,
+  });
+}
+
+module.exports = {
+  createPool
+};
@@ -0,0 +1,78 @@
+// 数据库迁移命令行工具
+//
+//   node migrate.js migrate [--to <version>]
+//   node migrate.js rollback [--steps <n>] [--to <version>]
+//   node migrate.js status
+//
+// 命令结果直接输出到终端，迁移过程的日志为 JSON 格式
+const { initLogger } = require('../shared/logger');
+const { createPool } = require('./db');
+const { Migrator } = require('./migrator');
+
+const USAGE = `Usage:
+  node migrate.js migrate [--to <version>]     Apply pending migrations
+  node migrate.js rollback [--steps <n>]       Roll back the last n migrations (default 1)
+  node migrate.js rollback --to <version>      Roll back every migration after <version>
+  node migrate.js status                       Show applied and pending migrations`;
+
+// 解析 --name value 形式的整数参数
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    const value = Number(args[i + 1]);
+    if (!['to', 'steps'].includes(name) || !Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid option: ${args.slice(i, i + 2).join(' ')}`);
+    }
+    options[name] = value;
+  }
+  return options;
+}
+
+function printStatus(status) {
+  console.log(`Current version: ${status.currentVersion}, latest version: ${status.latestVersion}`);
+  for (const entry of status.migrations) {
+    const state = entry.applied
+      ? `applied ${new Date(entry.appliedAt).toISOString()}${entry.checksumMismatch ? ' (CHECKSUM MISMATCH)' : ''}`
+      : 'pending';
+    console.log(`  ${String(entry.version).padStart(3, '0')}_${entry.name}: ${state}`);
+  }
+  for (const entry of status.unknown) {
+    console.log(`  ${String(entry.version).padStart(3, '0')}_${entry.name}: applied but unknown to this code`);
+  }
+}
+
+async function main() {
+  initLogger({ serviceName: 'user-service' });
+  const [command, ...args] = process.argv.slice(2);
+  const pool = createPool();
+  const migrator = new Migrator(pool);
+
+  try {
+    switch (command) {
+      case 'migrate': {
+        const applied = await migrator.migrate(parseOptions(args));
+        console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+        break;
+      }
+      case 'rollback': {
+        const rolledBack = await migrator.rollback(parseOptions(args));
+        console.log(`Rolled back ${rolledBack.length} migration(s)`);
+        break;
+      }
+      case 'status':
+        printStatus(await migrator.getStatus());
+        break;
+      default:
+        console.log(USAGE);
+        process.exitCode = command ? 1 : 0;
+    }
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,2 @@
+-- 用户语言偏好，用于选择邮件模板语言
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locale VARCHAR(20);
@@ -0,0 +1,3 @@
+-- 用户列表默认排序和按时间过滤使用的索引
+CREATE INDEX IF NOT EXISTS idx_users_created_at_id ON users (created_at, id);
+CREATE INDEX IF NOT EXISTS idx_users_updated_at_id ON users (updated_at, id);
@@ -0,0 +1,2 @@
+-- 写入事件时的追踪上下文 (traceId、spanId、traceFlags、requestId)，中继发布时写入 AMQP 消息头
+ALTER TABLE outbox ADD COLUMN IF NOT EXISTS trace_context JSONB;
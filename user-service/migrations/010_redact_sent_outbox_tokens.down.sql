@@ -0,0 +1,2 @@
+-- 删除的令牌无法恢复，回滚不做任何修改
+SELECT 1;
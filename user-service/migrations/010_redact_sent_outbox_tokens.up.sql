@@ -0,0 +1,3 @@
+-- 删除已发送事件中的明文令牌（邮箱验证、密码重置），之后由发件箱中继在发送时删除
+UPDATE outbox SET payload = payload #- '{data,token}'
+WHERE status = 'sent' AND payload->'data' ? 'token';
@@ -0,0 +1,257 @@
+// 版本化数据库迁移
+//
+// 迁移文件位于 migrations/，每个版本一对文件：
+//   <版本号>_<名称>.up.sql    升级
+//   <版本号>_<名称>.down.sql  回滚
+// 已执行的版本记录在 schema_migrations 表中，并保存 up 文件的校验和，
+// 已执行的迁移文件被修改后会被检测出来。
+// 执行迁移时持有 PostgreSQL advisory lock，多个实例同时启动也不会重复执行。
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('../shared/logger');
+
+const logger = createLogger({ component: 'migrator' });
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// advisory lock 的键，同一数据库中所有 user-service 实例共用
+const MIGRATION_LOCK_ID = 7311001;
+
+const MIGRATION_ERRORS = {
+  INVALID_MIGRATION: 'INVALID_MIGRATION',
+  CHECKSUM_MISMATCH: 'MIGRATION_CHECKSUM_MISMATCH',
+  SCHEMA_BEHIND: 'SCHEMA_BEHIND',
+  SCHEMA_AHEAD: 'SCHEMA_AHEAD'
+};
+
+const SCHEMA_MIGRATIONS_TABLE_SQL = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    execution_ms INTEGER NOT NULL,
+    applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+function migrationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// 统一换行符后计算校验和，避免仅因为换行符不同而报错
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+class Migrator {
+  constructor(pool, options = {}) {
+    this.pool = pool;
+    this.directory = options.directory || path.join(__dirname, 'migrations');
+    this.lockId = options.lockId || MIGRATION_LOCK_ID;
+  }
+
+  // 读取迁移文件，按版本号排序；缺少 up/down 文件或版本号重复时报错
+  loadMigrations() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(this.directory)) {
+      const match = MIGRATION_FILE_PATTERN.exec(file);
+      if (!match) {
+        continue;
+      }
+
+      const [, versionText, name, direction] = match;
+      const version = parseInt(versionText, 10);
+      const migration = migrations.get(version) || { version, name };
+
+      if (migration.name !== name) {
+        throw migrationError(
+          MIGRATION_ERRORS.INVALID_MIGRATION,
+          `Duplicate migration version ${version}: ${migration.name} and ${name}`
+        );
+      }
+      if (migration[direction]) {
+        throw migrationError(
+          MIGRATION_ERRORS.INVALID_MIGRATION,
+          `Duplicate ${direction} file for migration ${version}_${name}`
+        );
+      }
+
+      migration[direction] = fs.readFileSync(path.join(this.directory, file), 'utf8');
+      migrations.set(version, migration);
+    }
+
+    return Array.from(migrations.values())
+      .map((migration) => {
+        if (!migration.up || !migration.down) {
+          const missing = migration.up ? 'down' : 'up';
+          throw migrationError(
+            MIGRATION_ERRORS.INVALID_MIGRATION,
+            `Migration ${migration.version}_${migration.name} is missing its ${missing} file`
+          );
+        }
+        return { ...migration, checksum: checksum(migration.up) };
+      })
+      .sort((a, b) => a.version - b.version);
+  }
+
+  // 表还不存在（全新数据库）时视为没有执行过任何迁移；只读检查不建表
+  async getAppliedMigrations(client = this.pool) {
+    const exists = await client.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+    if (!exists.rows[0].exists) {
+      return [];
+    }
+    const result = await client.query(
+      'SELECT version, name, checksum, execution_ms, applied_at FROM schema_migrations ORDER BY version'
+    );
+    return result.rows;
+  }
+
+  // 对比代码中的迁移和数据库中已执行的迁移
+  async getStatus(client = this.pool) {
+    const migrations = this.loadMigrations();
+    const applied = await this.getAppliedMigrations(client);
+    const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+    const known = new Set(migrations.map((migration) => migration.version));
+
+    const entries = migrations.map((migration) => {
+      const row = appliedByVersion.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        applied: !!row,
+        appliedAt: row ? row.applied_at : null,
+        checksumMismatch: !!row && row.checksum !== migration.checksum
+      };
+    });
+
+    return {
+      currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+      migrations: entries,
+      pending: entries.filter((entry) => !entry.applied),
+      // 数据库中有、代码中没有的版本，说明数据库由更新的代码迁移过
+      unknown: applied
+        .filter((row) => !known.has(row.version))
+        .map((row) => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+      mismatched: entries.filter((entry) => entry.checksumMismatch)
+    };
+  }
+
+  // 检查数据库与代码是否一致；allowPending 为 true 时允许存在未执行的迁移
+  assertConsistent(status, { allowPending = false } = {}) {
+    const describe = (entries) => entries.map((entry) => `${entry.version}_${entry.name}`).join(', ');
+
+    if (status.mismatched.length > 0) {
+      throw migrationError(
+        MIGRATION_ERRORS.CHECKSUM_MISMATCH,
+        `Applied migrations have been modified: ${describe(status.mismatched)}`
+      );
+    }
+    if (status.unknown.length > 0) {
+      throw migrationError(
+        MIGRATION_ERRORS.SCHEMA_AHEAD,
+        `Database schema is ahead of the code (unknown migrations: ${describe(status.unknown)})`
+      );
+    }
+    if (!allowPending && status.pending.length > 0) {
+      throw migrationError(
+        MIGRATION_ERRORS.SCHEMA_BEHIND,
+        `Database schema is behind the code (pending migrations: ${describe(status.pending)}), run "npm run migrate"`
+      );
+    }
+  }
+
+  // 启动前检查：数据库结构必须与代码完全一致，否则拒绝启动
+  async verify() {
+    const status = await this.getStatus();
+    this.assertConsistent(status);
+    return status;
+  }
+
+  // 在 advisory lock 保护下执行，其他实例会等待锁释放
+  async withLock(fn) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [this.lockId]);
+      try {
+        await client.query(SCHEMA_MIGRATIONS_TABLE_SQL);
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [this.lockId]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  // 每个迁移在独立事务中执行，失败时回滚该迁移并停止
+  async runMigration(client, migration, direction) {
+    const startTime = Date.now();
+    await client.query('BEGIN');
+    try {
+      await client.query(migration[direction]);
+      if (direction === 'up') {
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+          [migration.version, migration.name, migration.checksum, Date.now() - startTime]
+        );
+      } else {
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      error.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  // 升级到 options.to 指定的版本（默认最新），返回执行的迁移
+  async migrate(options = {}) {
+    return this.withLock(async (client) => {
+      const status = await this.getStatus(client);
+      this.assertConsistent(status, { allowPending: true });
+
+      const target = options.to !== undefined ? options.to : status.latestVersion;
+      const migrations = this.loadMigrations()
+        .filter((migration) => migration.version <= target)
+        .filter((migration) => status.pending.some((entry) => entry.version === migration.version));
+
+      for (const migration of migrations) {
+        logger.info('Applying migration', { version: migration.version, name: migration.name });
+        await this.runMigration(client, migration, 'up');
+      }
+      return migrations.map(({ version, name }) => ({ version, name }));
+    });
+  }
+
+  // 回滚最近的 options.steps 个迁移（默认 1 个）；指定 options.to 时回滚到该版本，该版本及之前的迁移保留
+  async rollback(options = {}) {
+    return this.withLock(async (client) => {
+      const status = await this.getStatus(client);
+      this.assertConsistent(status, { allowPending: true });
+
+      const byVersion = new Map(this.loadMigrations().map((migration) => [migration.version, migration]));
+      const applied = status.migrations.filter((entry) => entry.applied).reverse();
+      const targets = options.to !== undefined
+        ? applied.filter((entry) => entry.version > options.to)
+        : applied.slice(0, options.steps || 1);
+
+      for (const entry of targets) {
+        const migration = byVersion.get(entry.version);
+        logger.info('Rolling back migration', { version: migration.version, name: migration.name });
+        await this.runMigration(client, migration, 'down');
+      }
+      return targets.map(({ version, name }) => ({ version, name }));
+    });
+  }
+}
+
+module.exports = {
+  MIGRATION_ERRORS,
+  Migrator
+};
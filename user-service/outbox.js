@@ -0,0 +1,174 @@
+// 事务性发件箱 (Transactional Outbox)
+// 事件与业务数据在同一个数据库事务中写入 outbox 表，
+// 再由后台中继 (relay) 异步投递到 RabbitMQ 并标记为已发送。
+const { EventUtils, OPTIONAL_ROUTING_KEYS } = require('../shared/events');
+const { getTraceContext } = require('../shared/tracing');
+const { createLogger } = require('../shared/logger');
+
+const logger = createLogger({ component: 'outbox' });
+
+const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENT: 'sent'
+};
+
+// 在调用方的事务中写入一条待发送事件
+// client 必须是已执行 BEGIN 的同一个连接
+// 写入前先做 schema 校验，避免无效事件进入发件箱后反复投递失败
+// 同时保存当前请求的追踪上下文，中继发布时沿用，消费端的处理与原请求属于同一条链路
+async function writeOutboxMessage(client, exchange, routingKey, event) {
+  EventUtils.validateEvent(event);
+
+  const traceContext = getTraceContext();
+  const result = await client.query(
+    `INSERT INTO outbox (exchange, routing_key, payload, trace_context)
+     VALUES ($1, $2, $3, $4) RETURNING id`,
+    [exchange, routingKey, JSON.stringify(event), traceContext ? JSON.stringify(traceContext) : null]
+  );
+  return result.rows[0].id;
+}
+
+class OutboxRelay {
+  constructor(pool, rabbitMQ, options = {}) {
+    this.pool = pool;
+    this.rabbitMQ = rabbitMQ;
+    this.pollInterval = options.pollInterval || 1000;
+    this.batchSize = options.batchSize || 50;
+    this.timer = null;
+    this.running = false;
+    this.processing = null;
+  }
+
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    this.schedule(0);
+    logger.info('Outbox relay started', { pollIntervalMs: this.pollInterval });
+  }
+
+  async stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    // 等待正在进行的批次完成
+    if (this.processing) {
+      await this.processing;
+    }
+    logger.info('Outbox relay stopped');
+  }
+
+  // 新事件提交后立即触发一次投递，减少延迟
+  trigger() {
+    if (this.running && !this.processing) {
+      this.schedule(0);
+    }
+  }
+
+  schedule(delay) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  async tick() {
+    this.timer = null;
+    if (!this.running || this.processing) {
+      return;
+    }
+
+    let published = 0;
+    this.processing = this.processBatch()
+      .then((count) => { published = count; })
+      .catch((error) => {
+        logger.error('Outbox relay error', error);
+      });
+    await this.processing;
+    this.processing = null;
+
+    if (this.running) {
+      // 批次已满说明可能还有积压，立即继续
+      this.schedule(published >= this.batchSize ? 0 : this.pollInterval);
+    }
+  }
+
+  // 取出一批待发送事件并逐条发布
+  // FOR UPDATE SKIP LOCKED 保证多个实例并发运行时不会重复投递同一行
+  async processBatch() {
+    if (!this.rabbitMQ.isHealthy()) {
+      return 0;
+    }
+
+    const client = await this.pool.connect();
+    let published = 0;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(
+        `SELECT id, exchange, routing_key, payload, trace_context FROM outbox
+         WHERE status = $1
+         ORDER BY id
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED`,
+        [OUTBOX_STATUS.PENDING, this.batchSize]
+      );
+
+      for (const row of result.rows) {
+        try {
+          await this.rabbitMQ.publishMessage(row.exchange, row.routing_key, row.payload, {
+            traceContext: row.trace_context || undefined,
+            mandatory: !OPTIONAL_ROUTING_KEYS.has(row.routing_key)
+          });
+          // 已发送的事件不再保留明文令牌（邮箱验证、密码重置）
+          await client.query(
+            `UPDATE outbox SET status = $1, sent_at = CURRENT_TIMESTAMP, attempts = attempts + 1, last_error = NULL,
+               payload = payload #- '{data,token}'
+             WHERE id = $2`,
+            [OUTBOX_STATUS.SENT, row.id]
+          );
+          published++;
+        } catch (error) {
+          await client.query(
+            'UPDATE outbox SET attempts = attempts + 1, last_error = $1 WHERE id = $2',
+            [error.message, row.id]
+          );
+          // 保持顺序：当前行失败时不再继续发送后续事件
+          logger.error('Failed to relay outbox message', { outboxId: row.id, routingKey: row.routing_key, error });
+          break;
+        }
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (published > 0) {
+      logger.info('Outbox relay published messages', { count: published });
+    }
+    return published;
+  }
+
+  // 待发送事件统计，用于健康检查
+  async getPendingCount() {
+    const result = await this.pool.query(
+      'SELECT COUNT(*)::int AS count FROM outbox WHERE status = $1',
+      [OUTBOX_STATUS.PENDING]
+    );
+    return result.rows[0].count;
+  }
+}
+
+module.exports = {
+  OUTBOX_STATUS,
+  writeOutboxMessage,
+  OutboxRelay
+};
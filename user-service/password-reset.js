@@ -0,0 +1,59 @@
+// 密码重置令牌：随机生成，只保存 SHA-256 哈希，有效期短且只能使用一次
+const crypto = require('crypto');
+
+const PASSWORD_RESET_ERRORS = {
+  INVALID_TOKEN: 'INVALID_RESET_TOKEN'
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class PasswordResetService {
+  constructor(options = {}) {
+    this.tokenTtl = options.tokenTtl || 30 * 60; // 秒
+  }
+
+  // 在调用方的事务中创建重置令牌，返回明文令牌（只用于发送邮件）
+  async issueToken(client, userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.tokenTtl * 1000);
+
+    await client.query(
+      'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+      [userId, hashToken(token), expiresAt]
+    );
+
+    return { token, expiresAt };
+  }
+
+  // 在调用方的事务中校验并消费令牌，同时作废该用户其余未使用的重置令牌
+  // 返回令牌对应的用户 ID
+  async consumeToken(client, token) {
+    const result = await client.query(
+      `SELECT id, user_id FROM password_reset_tokens
+       WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       FOR UPDATE`,
+      [hashToken(token || '')]
+    );
+    const stored = result.rows[0];
+
+    if (!stored) {
+      const error = new Error('Invalid or expired password reset token');
+      error.code = PASSWORD_RESET_ERRORS.INVALID_TOKEN;
+      throw error;
+    }
+
+    await client.query(
+      'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+      [stored.user_id]
+    );
+
+    return stored.user_id;
+  }
+}
+
+module.exports = {
+  PASSWORD_RESET_ERRORS,
+  PasswordResetService
+};
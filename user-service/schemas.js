@@ -0,0 +1,195 @@
+// user-service 各路由的请求 schema，长度限制与数据库列定义保持一致
+const { SORT_COLUMNS, MAX_LIMIT } = require('./user-query');
+const { DELETE_MODES } = require('./user-lifecycle');
+
+const username = {
+  type: 'string',
+  minLength: 3,
+  maxLength: 50,
+  pattern: '^[A-Za-z0-9_.-]+$'
+};
+
+const email = {
+  type: 'string',
+  format: 'email',
+  maxLength: 100
+};
+
+// bcrypt 只使用前 72 个字节
+const password = {
+  type: 'string',
+  minLength: 8,
+  maxLength: 72,
+  passwordStrength: true
+};
+
+// 姓名允许任意语言的字母、空格、撇号、点和连字符
+const personName = {
+  type: ['string', 'null'],
+  minLength: 1,
+  maxLength: 50,
+  pattern: "^[\\p{L}\\p{M}][\\p{L}\\p{M} '.-]*$"
+};
+
+const locale = {
+  type: ['string', 'null'],
+  maxLength: 20,
+  pattern: '^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8}){0,2}$'
+};
+
+const token = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 2048
+};
+
+const userIdParams = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { type: 'string', pattern: '^[1-9][0-9]{0,9}$' }
+  }
+};
+
+const register = {
+  body: {
+    type: 'object',
+    required: ['username', 'email', 'password'],
+    properties: {
+      username,
+      email,
+      password,
+      firstName: personName,
+      lastName: personName,
+      locale
+    }
+  }
+};
+
+// username 字段可以是用户名或邮箱，登录时不校验格式
+const login = {
+  body: {
+    type: 'object',
+    required: ['password'],
+    anyOf: [{ required: ['username'] }, { required: ['email'] }],
+    properties: {
+      username: { type: 'string', minLength: 1, maxLength: 100 },
+      email: { type: 'string', minLength: 1, maxLength: 100 },
+      password: { type: 'string', minLength: 1, maxLength: 72 }
+    }
+  }
+};
+
+const refreshToken = {
+  body: {
+    type: 'object',
+    required: ['refreshToken'],
+    properties: {
+      refreshToken: token
+    }
+  }
+};
+
+const logout = {
+  body: {
+    type: 'object',
+    required: ['refreshToken'],
+    properties: {
+      refreshToken: token,
+      allSessions: { type: 'boolean' }
+    }
+  }
+};
+
+const verifyEmail = {
+  query: {
+    type: 'object',
+    required: ['token'],
+    properties: {
+      token
+    }
+  }
+};
+
+// 重新发送验证邮件和申请重置密码
+const emailOnly = {
+  body: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email
+    }
+  }
+};
+
+const passwordResetConfirm = {
+  body: {
+    type: 'object',
+    required: ['token', 'password'],
+    properties: {
+      token,
+      password
+    }
+  }
+};
+
+const getUser = {
+  params: userIdParams
+};
+
+// 允许的字段与 user-lifecycle 中的 PROFILE_FIELDS 一致
+const updateUser = {
+  params: userIdParams,
+  body: {
+    type: 'object',
+    minProperties: 1,
+    additionalProperties: false,
+    properties: {
+      firstName: personName,
+      lastName: personName,
+      locale,
+      email
+    }
+  }
+};
+
+const deleteUser = {
+  params: userIdParams,
+  query: {
+    type: 'object',
+    properties: {
+      mode: { type: 'string', enum: Object.values(DELETE_MODES) }
+    }
+  }
+};
+
+const listUsers = {
+  query: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT },
+      cursor: { type: 'string', maxLength: 1024 },
+      sort: { type: 'string', enum: Object.keys(SORT_COLUMNS) },
+      order: { type: 'string', enum: ['asc', 'desc'] },
+      search: { type: 'string', maxLength: 100 },
+      emailVerified: { type: 'boolean' },
+      createdFrom: { type: 'string', format: 'iso-date' },
+      createdTo: { type: 'string', format: 'iso-date' }
+    }
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refreshToken,
+  logout,
+  verifyEmail,
+  resendVerification: emailOnly,
+  passwordResetRequest: emailOnly,
+  passwordResetConfirm,
+  getUser,
+  updateUser,
+  deleteUser,
+  listUsers
+};
@@ -0,0 +1,106 @@
+// 用户资料修改与删除
+// 删除分两种：软删除只打标记，可由运维恢复；彻底删除 (GDPR erasure) 匿名化全部个人信息
+
+const DELETE_MODES = {
+  SOFT: 'soft',
+  ERASE: 'erase'
+};
+
+// 允许通过 PATCH 修改的字段：请求体字段 -> 数据库列
+const PROFILE_FIELDS = {
+  firstName: 'first_name',
+  lastName: 'last_name',
+  locale: 'locale',
+  email: 'email'
+};
+
+// 对比请求体和当前记录，只返回真正发生变化的字段
+function diffProfile(current, body) {
+  const changes = {};
+  for (const [field, column] of Object.entries(PROFILE_FIELDS)) {
+    if (body[field] !== undefined && body[field] !== current[column]) {
+      changes[field] = body[field];
+    }
+  }
+  return changes;
+}
+
+// 在调用方的事务中更新资料，修改邮箱时重置验证状态；返回更新后的记录
+async function updateProfile(client, userId, changes) {
+  const assignments = [];
+  const params = [];
+
+  for (const [field, value] of Object.entries(changes)) {
+    params.push(value);
+    assignments.push(`${PROFILE_FIELDS[field]} = $${params.length}`);
+  }
+  if (changes.email !== undefined) {
+    assignments.push('email_verified = FALSE', 'email_verified_at = NULL');
+  }
+
+  params.push(userId);
+  const result = await client.query(
+    `UPDATE users SET ${assignments.join(', ')} WHERE id = $${params.length}
+     RETURNING id, username, email, first_name, last_name, locale, email_verified, created_at, updated_at`,
+    params
+  );
+  return result.rows[0];
+}
+
+// 软删除：保留数据，作废所有未使用的令牌
+async function softDeleteUser(client, userId) {
+  const result = await client.query(
+    'UPDATE users SET deleted_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING deleted_at',
+    [userId]
+  );
+  await client.query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+  await client.query(
+    'UPDATE email_verification_tokens SET expires_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  await client.query(
+    'UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+  return result.rows[0].deleted_at;
+}
+
+// 彻底删除：匿名化用户记录（保留 id 以维持引用），删除令牌和该用户的全部发件箱事件。
+// 未发送的事件（邮箱、姓名、令牌）也一并删除，不再投递；之后写入的 user.deleted 事件只包含用户 ID
+async function eraseUser(client, userId) {
+  const result = await client.query(
+    `UPDATE users SET
+       username = 'deleted_' || id,
+       email = 'deleted_' || id || '@erased.invalid',
+       password_hash = '!',
+       first_name = NULL,
+       last_name = NULL,
+       locale = NULL,
+       email_verified = FALSE,
+       email_verified_at = NULL,
+       deleted_at = COALESCE(deleted_at, CURRENT_TIMESTAMP),
+       erased_at = CURRENT_TIMESTAMP
+     WHERE id = $1 RETURNING deleted_at`,
+    [userId]
+  );
+  await client.query('DELETE FROM refresh_tokens WHERE user_id = $1', [userId]);
+  await client.query('DELETE FROM email_verification_tokens WHERE user_id = $1', [userId]);
+  await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [userId]);
+  await client.query(
+    `DELETE FROM outbox WHERE payload->'data'->>'userId' = $1`,
+    [String(userId)]
+  );
+  return result.rows[0].deleted_at;
+}
+
+module.exports = {
+  DELETE_MODES,
+  PROFILE_FIELDS,
+  diffProfile,
+  updateProfile,
+  softDeleteUser,
+  eraseUser
+};
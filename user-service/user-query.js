@@ -0,0 +1,141 @@
+// GET /api/users 的分页、过滤、排序和搜索
+// 使用基于游标 (keyset) 的分页：游标记录上一页最后一行的排序值和 id，
+// 下一页用 (排序列, id) 的行比较继续，翻页代价与页码无关
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// 可排序字段白名单：查询参数 -> 数据库列
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  username: 'username',
+  email: 'email',
+  id: 'id'
+};
+
+// 游标无效或与排序方式不匹配时抛出，error.field 为出错的查询参数
+function cursorError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CURSOR';
+  error.field = 'cursor';
+  return error;
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (!cursor || typeof cursor.value !== 'string' || !Number.isInteger(cursor.id)) {
+      throw new Error('Malformed cursor');
+    }
+    return cursor;
+  } catch (error) {
+    throw cursorError('Invalid cursor');
+  }
+}
+
+// 把已通过 schema 校验（并转换类型）的查询参数转换为查询选项
+function parseUserListQuery(query) {
+  const options = {
+    limit: query.limit || DEFAULT_LIMIT,
+    sort: query.sort || 'createdAt',
+    order: query.order || 'desc',
+    cursor: null,
+    search: query.search ? query.search.trim() || null : null,
+    emailVerified: query.emailVerified !== undefined ? query.emailVerified : null,
+    createdFrom: query.createdFrom ? new Date(query.createdFrom) : null,
+    createdTo: query.createdTo ? new Date(query.createdTo) : null
+  };
+
+  // 游标只对生成它时的排序方式有效
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (cursor.sort !== options.sort || cursor.order !== options.order) {
+      throw cursorError('Cursor does not match the requested sort order');
+    }
+    options.cursor = cursor;
+  }
+
+  return options;
+}
+
+// 转义 LIKE 通配符，搜索词按字面匹配
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+// 生成数据查询和总数查询；总数不受游标影响
+function buildUserListQuery(options) {
+  const column = SORT_COLUMNS[options.sort];
+  const conditions = ['deleted_at IS NULL'];
+  const params = [];
+
+  if (options.emailVerified !== null) {
+    params.push(options.emailVerified);
+    conditions.push(`email_verified = $${params.length}`);
+  }
+  if (options.createdFrom) {
+    params.push(options.createdFrom);
+    conditions.push(`created_at >= $${params.length}`);
+  }
+  if (options.createdTo) {
+    params.push(options.createdTo);
+    conditions.push(`created_at < $${params.length}`);
+  }
+  if (options.search) {
+    params.push(`%${escapeLike(options.search)}%`);
+    const placeholder = `$${params.length}`;
+    conditions.push(`(username ILIKE ${placeholder} OR email ILIKE ${placeholder}
+      OR first_name ILIKE ${placeholder} OR last_name ILIKE ${placeholder})`);
+  }
+
+  const countSql = `SELECT COUNT(*)::int AS total FROM users WHERE ${conditions.join(' AND ')}`;
+  const countParams = params.slice();
+
+  if (options.cursor) {
+    params.push(options.cursor.value, options.cursor.id);
+    const operator = options.order === 'desc' ? '<' : '>';
+    conditions.push(`(${column}, id) ${operator} ($${params.length - 1}, $${params.length})`);
+  }
+
+  // 多取一行用于判断是否还有下一页
+  params.push(options.limit + 1);
+  const direction = options.order.toUpperCase();
+  // 排序值以数据库文本形式写入游标，避免时间戳精度在 JavaScript 中丢失
+  const sql = `
+    SELECT id, username, email, first_name, last_name, locale, email_verified, created_at, updated_at,
+           ${column}::text AS cursor_value
+    FROM users
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${column} ${direction}, id ${direction}
+    LIMIT $${params.length}`;
+
+  return { sql, params, countSql, countParams };
+}
+
+// 截取一页数据并生成下一页的游标
+function paginate(rows, options) {
+  const hasMore = rows.length > options.limit;
+  const page = hasMore ? rows.slice(0, options.limit) : rows;
+  const last = page[page.length - 1];
+
+  return {
+    rows: page,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeCursor({ sort: options.sort, order: options.order, value: last.cursor_value, id: last.id })
+      : null
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORT_COLUMNS,
+  parseUserListQuery,
+  buildUserListQuery,
+  paginate
+};
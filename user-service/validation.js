@@ -0,0 +1,173 @@
+// 声明式请求校验：每个路由用 JSON Schema 描述 body / query / params
+//
+// 结构错误（缺少字段、类型错误、未知字段、路径和查询参数无效）返回 400 INVALID_REQUEST；
+// 请求体结构正确但内容不符合规则（格式、长度、字符、密码强度）返回 422 VALIDATION_FAILED。
+// 响应中的 errors 逐个列出字段错误：{ location, field, code, message }
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const VALIDATION_ERRORS = {
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  VALIDATION_FAILED: 'VALIDATION_FAILED'
+};
+
+// ajv 关键字 -> 字段错误码
+const FIELD_ERROR_CODES = {
+  required: 'FIELD_REQUIRED',
+  type: 'INVALID_TYPE',
+  additionalProperties: 'UNKNOWN_FIELD',
+  minProperties: 'NO_FIELDS',
+  format: 'INVALID_FORMAT',
+  minLength: 'TOO_SHORT',
+  maxLength: 'TOO_LONG',
+  pattern: 'INVALID_CHARACTERS',
+  enum: 'INVALID_VALUE',
+  minimum: 'OUT_OF_RANGE',
+  maximum: 'OUT_OF_RANGE',
+  passwordStrength: 'PASSWORD_TOO_WEAK'
+};
+
+// 这些错误说明请求结构本身有问题
+const STRUCTURAL_KEYWORDS = ['required', 'type', 'additionalProperties', 'minProperties'];
+
+function createAjv(options = {}) {
+  const ajv = new Ajv({ allErrors: true, verbose: true, ...options });
+  addFormats(ajv);
+
+  // 日期或日期时间，例如 2024-01-01、2024-01-01T08:00:00Z
+  ajv.addFormat('iso-date', (value) =>
+    /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)
+    && !Number.isNaN(Date.parse(value)));
+
+  // 密码强度：至少包含一个字母和一个数字
+  ajv.addKeyword({
+    keyword: 'passwordStrength',
+    type: 'string',
+    errors: true,
+    validate: function passwordStrength(enabled, value) {
+      if (!enabled || (/[A-Za-z]/.test(value) && /\d/.test(value))) {
+        return true;
+      }
+      passwordStrength.errors = [{
+        keyword: 'passwordStrength',
+        message: 'must contain at least one letter and one digit',
+        params: {}
+      }];
+      return false;
+    }
+  });
+
+  return ajv;
+}
+
+// 请求体保持原样；查询参数和路径参数都是字符串，按 schema 转换类型
+const bodyAjv = createAjv();
+const stringAjv = createAjv({ coerceTypes: true });
+
+function toFieldErrors(location, errors) {
+  const fieldErrors = [];
+  // anyOf 的各分支错误合并为一条，只处理由 required 组成的 anyOf
+  const anyOfPaths = errors
+    .filter((error) => error.keyword === 'anyOf')
+    .map((error) => error.schemaPath);
+
+  for (const error of errors) {
+    if (anyOfPaths.some((schemaPath) => error.schemaPath.startsWith(`${schemaPath}/`))) {
+      continue;
+    }
+
+    let field = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+    let keyword = error.keyword;
+    let message = error.message;
+
+    if (error.keyword === 'required') {
+      field = field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty;
+      message = 'is required';
+    } else if (error.keyword === 'additionalProperties') {
+      field = field ? `${field}.${error.params.additionalProperty}` : error.params.additionalProperty;
+      message = 'is not allowed';
+    } else if (error.keyword === 'anyOf') {
+      const alternatives = error.schema.flatMap((branch) => branch.required || []);
+      field = alternatives[0];
+      keyword = 'required';
+      message = `${alternatives.join(' or ')} is required`;
+    } else if (error.keyword === 'pattern') {
+      // 不把正则表达式暴露给客户端
+      message = 'contains characters that are not allowed';
+    } else if (error.keyword === 'minProperties') {
+      message = 'must include at least one field';
+    }
+
+    fieldErrors.push({
+      location,
+      field: field || null,
+      code: FIELD_ERROR_CODES[keyword] || 'INVALID_VALUE',
+      message,
+      keyword
+    });
+  }
+
+  return fieldErrors;
+}
+
+function sendValidationError(res, status, code, errors, correlationId) {
+  return res.status(status).json({
+    error: status === 422 ? 'Validation failed' : 'Invalid request',
+    code,
+    errors: errors.map(({ keyword, ...error }) => error),
+    correlationId
+  });
+}
+
+// 生成校验中间件：validateRequest({ body, query, params })
+function validateRequest(schemas) {
+  const validators = Object.entries(schemas).map(([location, schema]) => ({
+    location,
+    validate: (location === 'body' ? bodyAjv : stringAjv).compile(schema)
+  }));
+
+  return (req, res, next) => {
+    const errors = [];
+    for (const { location, validate } of validators) {
+      // 没有请求体时按空对象校验，缺少的字段会报告为 FIELD_REQUIRED
+      if (location === 'body' && (req.body === undefined || req.body === null)) {
+        req.body = {};
+      }
+      if (!validate(req[location])) {
+        errors.push(...toFieldErrors(location, validate.errors));
+      }
+    }
+
+    if (errors.length === 0) {
+      return next();
+    }
+
+    const structural = errors.some((error) =>
+      error.location !== 'body' || STRUCTURAL_KEYWORDS.includes(error.keyword));
+
+    return structural
+      ? sendValidationError(res, 400, VALIDATION_ERRORS.INVALID_REQUEST, errors, req.correlationId)
+      : sendValidationError(res, 422, VALIDATION_ERRORS.VALIDATION_FAILED, errors, req.correlationId);
+  };
+}
+
+// express.json() 解析失败时返回结构化错误，而不是默认的 HTML 错误页
+function jsonErrorHandler(error, req, res, next) {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Request body is not valid JSON',
+      code: VALIDATION_ERRORS.INVALID_JSON,
+      errors: [],
+      correlationId: req.correlationId
+    });
+  }
+  next(error);
+}
+
+module.exports = {
+  VALIDATION_ERRORS,
+  validateRequest,
+  sendValidationError,
+  jsonErrorHandler
+};
@@ -0,0 +1,119 @@
+// 邮箱验证令牌：签名的 JWT，jti 记录在数据库中保证只能使用一次
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const VERIFICATION_ERRORS = {
+  INVALID_TOKEN: 'INVALID_VERIFICATION_TOKEN',
+  TOKEN_USED: 'VERIFICATION_TOKEN_USED',
+  ALREADY_VERIFIED: 'EMAIL_ALREADY_VERIFIED',
+  COOLDOWN: 'VERIFICATION_RESEND_COOLDOWN'
+};
+
+const TOKEN_AUDIENCE = 'email-verification';
+
+function verificationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+class EmailVerificationService {
+  constructor(options = {}) {
+    if (!options.secret) {
+      throw new Error('Verification secret is required');
+    }
+    this.secret = options.secret;
+    this.issuer = options.issuer || 'msa-user-service';
+    this.tokenTtl = options.tokenTtl || 24 * 60 * 60; // 秒
+    this.resendCooldown = options.resendCooldown || 60; // 秒
+  }
+
+  // 在调用方的事务中签发令牌，之前未使用的令牌同时作废
+  async issueToken(client, userId) {
+    const tokenId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + this.tokenTtl * 1000);
+
+    await client.query(
+      `UPDATE email_verification_tokens SET expires_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+      [userId]
+    );
+    await client.query(
+      'INSERT INTO email_verification_tokens (id, user_id, expires_at) VALUES ($1, $2, $3)',
+      [tokenId, userId, expiresAt]
+    );
+
+    const token = jwt.sign({}, this.secret, {
+      subject: String(userId),
+      jwtid: tokenId,
+      issuer: this.issuer,
+      audience: TOKEN_AUDIENCE,
+      expiresIn: this.tokenTtl,
+      algorithm: 'HS256'
+    });
+
+    return { token, expiresAt };
+  }
+
+  // 重新发送前检查冷却时间，返回还需等待的秒数（0 表示可以发送）
+  async getCooldownRemaining(client, userId) {
+    const result = await client.query(
+      `SELECT EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - MAX(created_at))) AS elapsed
+       FROM email_verification_tokens WHERE user_id = $1`,
+      [userId]
+    );
+    const elapsed = result.rows[0].elapsed;
+    if (elapsed === null) {
+      return 0;
+    }
+    return Math.max(0, Math.ceil(this.resendCooldown - Number(elapsed)));
+  }
+
+  // 在调用方的事务中消费令牌并把用户标记为已验证，返回用户信息
+  async consumeToken(client, token) {
+    let claims;
+    try {
+      claims = jwt.verify(token, this.secret, {
+        algorithms: ['HS256'],
+        issuer: this.issuer,
+        audience: TOKEN_AUDIENCE
+      });
+    } catch (error) {
+      throw verificationError(VERIFICATION_ERRORS.INVALID_TOKEN, 'Invalid or expired verification token');
+    }
+
+    const result = await client.query(
+      `SELECT id, user_id, used_at, expires_at < CURRENT_TIMESTAMP AS expired
+       FROM email_verification_tokens WHERE id = $1 FOR UPDATE`,
+      [claims.jti]
+    );
+    const stored = result.rows[0];
+
+    if (!stored || String(stored.user_id) !== claims.sub) {
+      throw verificationError(VERIFICATION_ERRORS.INVALID_TOKEN, 'Invalid or expired verification token');
+    }
+    if (stored.used_at) {
+      throw verificationError(VERIFICATION_ERRORS.TOKEN_USED, 'Verification token has already been used');
+    }
+    if (stored.expired) {
+      throw verificationError(VERIFICATION_ERRORS.INVALID_TOKEN, 'Invalid or expired verification token');
+    }
+
+    await client.query(
+      'UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [stored.id]
+    );
+
+    const userResult = await client.query(
+      `UPDATE users SET email_verified = TRUE, email_verified_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING id, email, email_verified_at`,
+      [stored.user_id]
+    );
+    return userResult.rows[0];
+  }
+}
+
+module.exports = {
+  VERIFICATION_ERRORS,
+  EmailVerificationService
+};